@@ -0,0 +1,1086 @@
+// Übersetzungen für Oberfläche, Karten und Alternativtexte
+/**
+ * Platzhalter in geschweiften Klammern werden von translate() ersetzt. Objekte mit
+ * one/other werden anhand von params.count über Intl.PluralRules ausgewählt.
+ * @type {Object<string, Object>}
+ */
+const MESSAGES = {
+    en: {
+        app: {
+            title: 'Mastodon Wraps Importer',
+            subtitle: 'Import your toots and create your <a href="https://joinmastodon.org" target="_blank">Mastodon</a> Wraps! All toots are stored and processed locally in your browser. The tool works with any ActivityPub software that is compatible with the Mastodon API. You can choose whether a calendar year, the last 12 months, a custom range or all toots are imported and analysed. Created by <a href="https://hachyderm.io/@sabrinkmann" target="_blank">@sabrinkmann@hachyderm.io</a> and <a href="https://norden.social/@54gradsoftware" target="_blank">@54gradsoftware@norden.social</a>. Published under the AGPL on <a href="https://github.com/54GradSoftware/mastodon-wraps" target="_blank">GitHub</a>.',
+            language: 'Language',
+            generating: 'Creating your Wrapped...',
+            generatingProgress: '{percent}% analysed',
+            imprint: 'Imprint',
+            privacy: 'Privacy',
+            analytics: 'For privacy-friendly analytics this app uses'
+        },
+        login: {
+            intro: 'Before we can create your Mastodon Wraps you need to connect to your Mastodon instance. Enter the URL of your instance, you will then be redirected to authorise the app. We need read access to your toots to import them. All data from Mastodon is stored locally in your browser and never shared with third parties. Afterwards you can create your Mastodon Wraps.',
+            instanceLabel: 'Mastodon instance URL',
+            instancePlaceholder: 'e.g. mastodon.social',
+            connect: '🔌 Connect to Mastodon',
+            cancel: 'Cancel',
+            allowPosting: 'Also allow posting so you can share your cards directly on Mastodon (optional)',
+            compatibility: 'Besides Mastodon, GoToSocial, Akkoma/Pleroma, Friendica and Misskey forks with a Mastodon API (e.g. Sharkey, Iceshrimp) work as well. The server software is detected automatically.'
+        },
+        archive: {
+            label: 'Or: import a data export',
+            hint: 'No login needed: upload the archive you can request in Mastodon under Preferences → Import and export → Request your archive (the ZIP file or the outbox.json inside it). The file is only read in your browser.',
+            reading: 'Reading archive...',
+            converting: 'Converting activities...',
+            saved: '{saved} of {total} toots saved...',
+            account: '📦 Toots of @{account} from a data export. Log in with this account to import new toots.',
+            noOutbox: 'No outbox.json found in the archive',
+            noAccount: 'Could not determine the account',
+            invalidZip: 'Not a valid ZIP file',
+            unsupportedCompression: 'Unsupported compression in {name}',
+            failed: 'Archive import failed: {message}'
+        },
+        account: {
+            connected: '✓ Connected to {instance} as @{username}',
+            label: 'Account',
+            add: '➕ Add account',
+            logout: '🚪 Log out',
+            confirmLogout: 'Do you want to log out of @{account}? The access of this app will be revoked and the imported toots of this account will be deleted.',
+            sessionExpired: 'The access to @{account} has expired or was revoked. Please log in again to continue.',
+            relogin: '🔑 Log in again'
+        },
+        server: {
+            detected: 'Server software: {name} {version}',
+            notes: {
+                mastodon: 'Import, all cards and sharing are fully supported.',
+                gotosocial: 'Import and cards are supported. Sharing needs the full write permission on GoToSocial. Boost and reply counts of older toots may be missing.',
+                akkoma: 'Import, cards and sharing are supported. Local-only toots are counted as unlisted.',
+                misskey: 'Import and cards work via the Mastodon-compatible API. Sharing needs the full write permission, followers-only and specified notes are counted as private and direct. Reactions are not counted as favourites on every server.',
+                friendica: 'Import and cards are supported. Sharing needs the full write permission. Counts for boosts and replies may be incomplete.',
+                unknown: 'The server software could not be detected. A Mastodon-compatible API is assumed, some cards may stay empty.'
+            }
+        },
+        period: {
+            label: 'Period',
+            year: 'Calendar year',
+            last12: 'Last 12 months',
+            custom: 'Custom range',
+            all: 'All toots',
+            yearLabel: 'Year',
+            from: 'From',
+            to: 'To',
+            today: 'today',
+            allLabel: 'All time',
+            phraseYear: 'in {year}',
+            phraseLast12: 'in the last 12 months',
+            phraseCustom: 'between {range}',
+            phraseAll: 'overall'
+        },
+        compare: {
+            label: 'Compare with',
+            none: 'No comparison',
+            previous: 'Previous period',
+            hint: 'Comparison cards show the changes since {period}. Statistics of earlier periods are kept, so the comparison still works after older toots have been deleted.',
+            unavailable: 'There is no previous period for this selection.'
+        },
+        timeZone: {
+            label: 'Time zone'
+        },
+        storage: {
+            title: '💾 Storage and backup',
+            toots: 'Stored toots',
+            beforePeriod: 'of them before {period}',
+            notifications: 'Notifications',
+            snapshots: 'Saved analyses',
+            usage: 'used by this page (of {quota} available)',
+            pruneHint: 'Deletes the stored toots of this account from before the selected period to free up space. Wrapped you have already created for other periods stays available from the saved analyses, deleted toots can be imported again at any time.',
+            prune: '🧹 Delete toots before the period',
+            confirmPrune: { one: 'Delete {count} toot from before {period}?', other: 'Delete {count} toots from before {period}?' },
+            pruned: { one: '{count} toot deleted.', other: '{count} toots deleted.' },
+            backupHint: 'Saves all accounts, toots, notifications, analyses and settings as a JSON file, e.g. to move to another browser or to keep an archive. Access tokens are not included, log in again after restoring to import new toots.',
+            export: '📦 Download backup',
+            exporting: 'Creating backup...',
+            exported: { one: 'Backup with {count} toot downloaded.', other: 'Backup with {count} toots downloaded.' },
+            restoreLabel: 'Restore a backup',
+            restoreHint: 'Already used Mastodon Wraps in another browser? Restore its backup instead of importing everything again.',
+            reading: 'Reading backup...',
+            restoring: '{saved} of {total} entries restored...',
+            restored: 'Backup restored: {toots} toots, {notifications} notifications and {settings} entries for accounts, analyses and settings added. Existing entries were kept.',
+            invalidBackup: 'The file is not a Mastodon Wraps backup',
+            newerBackup: 'The backup was created with a newer version of Mastodon Wraps',
+            restoreFailed: 'Restoring failed: {message}'
+        },
+        notifications: {
+            label: 'Received engagement (optional)',
+            hint: 'Also imports your notifications about favourites, boosts, mentions, new followers and finished polls in the selected period. They show who engaged with you and when. Many servers only keep notifications for a limited time.',
+            stored: { one: '🔔 {count} notification stored', other: '🔔 {count} notifications stored' },
+            import: '🔔 Import notifications',
+            loadingNew: 'Loading new notifications...',
+            loading: 'Loading notifications...',
+            page: 'Page {page}: {added} new notifications...',
+            complete: { one: 'Notification import complete, {count} new notification.', other: 'Notification import complete, {count} new notifications.' }
+        },
+        import: {
+            existing: '📊 {count} toots and boosts already in the database',
+            generate: '🎉 Generate Wrapped',
+            importNew: '📩 Import new toots',
+            resume: '⏯️ Resume import',
+            start: 'Start import',
+            viewToots: '📬 Show toots',
+            restart: '🔃 Start over',
+            cancel: '✖ Cancel',
+            complete: '✓ Import complete!',
+            added: 'New toots imported',
+            updated: 'Toots updated',
+            total: 'Toots in total',
+            duration: 'Duration',
+            confirmReset: 'Do you really want to delete all local data of all accounts and start over?'
+        },
+        status: {
+            loadingNew: 'Loading new toots...',
+            refreshing: 'Refreshing favourites and boosts...',
+            loading: 'Loading toots...',
+            page: 'Page {page}: {added} new, {updated} updated toots...',
+            retry: '{reason}, retrying in {seconds}s ({attempt}/{max})...',
+            networkError: 'Network error',
+            complete: 'Import complete!'
+        },
+        errors: {
+            connection: 'Connection failed: {message}',
+            appRegistration: 'App registration failed',
+            noCredentials: 'No stored credentials found',
+            token: 'Fetching the token failed',
+            clientRejected: 'The server no longer accepts this app. Please log in again, the app will be registered anew.',
+            user: 'Fetching the user failed',
+            auth: 'Authentication failed: {message}',
+            unreachable: 'Instance not reachable',
+            fetchToots: 'Error while fetching toots',
+            importCancelled: 'Import cancelled. {count} toots are saved, the import can be resumed later.',
+            import: 'Import error: {message}',
+            fetchNotifications: 'Error while fetching notifications',
+            notificationsCancelled: 'Notification import cancelled. {count} notifications are saved.',
+            notifications: 'Notification import error: {message}',
+            generate: 'Error while generating: {message}',
+            aborted: 'Import cancelled',
+            state: 'The login response does not belong to a login started here. Please log in again.',
+            authDenied: 'The server did not grant access: {message}',
+            sessionExpired: 'Access token expired or revoked',
+            export: 'Export failed: {message}',
+            canvasBlob: 'The image of a card could not be created',
+            revoke: 'The access token at {instance} could not be revoked. You can revoke it in your account settings under "Authorized apps".'
+        },
+        toots: {
+            title: 'Your toots ({count})',
+            search: 'Search toots',
+            hashtag: 'Hashtag',
+            mention: 'Mentioned account',
+            kind: 'Type',
+            kinds: {
+                all: 'All types',
+                original: 'Toot',
+                reply: 'Reply',
+                boost: 'Boost'
+            },
+            allVisibilities: 'All visibilities',
+            sort: 'Sort by',
+            sorts: {
+                newest: 'Newest first',
+                oldest: 'Oldest first',
+                engagement: 'Most interactions',
+                favourites: 'Most favourites',
+                reblogs: 'Most boosts',
+                replies: 'Most replies',
+                length: 'Longest first'
+            },
+            media: 'Only toots with media',
+            results: { one: '{count} toot found', other: '{count} toots found' },
+            reset: 'Reset filters',
+            open: 'Open',
+            noResults: 'No toots match these filters.',
+            contentWarning: '⚠️ CW: {warning}',
+            showContent: 'Show',
+            hideContent: 'Hide',
+            mediaTypes: {
+                image: '🖼️ Image',
+                video: '🎬 Video',
+                gifv: '🎞️ GIF',
+                audio: '🎵 Audio',
+                unknown: '📎 Attachment'
+            }
+        },
+        wrapped: {
+            title: '🎉 Your Mastodon Wrapped {period}',
+            header: 'Mastodon Wrapped {period}',
+            download: '💾 Download',
+            altTextLabel: 'Example alt text',
+            altTextPlaceholder: 'Alt text for accessibility',
+            downloadAll: '📥 Download all'
+        },
+        picker: {
+            title: 'Choose and arrange cards',
+            hint: 'Drag cards to change their order and untick the ones you do not want. Cards without data are hidden automatically. Downloads, exports and sharing use this selection.',
+            empty: 'no data',
+            up: 'Move up',
+            down: 'Move down',
+            optIn: 'needs your consent'
+        },
+        circle: {
+            enabled: 'Show cards that name other accounts ("Inner circle" and "Top fans")',
+            graph: 'Show the inner circle as a network around your profile picture',
+            hint: 'These cards name the accounts you replied to, mentioned and boosted most and the accounts that engaged with you most. They are off by default because they show other people when you share your cards.'
+        },
+        theme: {
+            label: 'Design',
+            names: {
+                classic: 'Colourful',
+                light: 'Light',
+                dark: 'Dark',
+                contrast: 'High contrast',
+                brand: 'Instance colours',
+                custom: 'Custom colours'
+            },
+            background: 'Background colour',
+            text: 'Text colour',
+            font: 'Font',
+            customFont: 'Load your own font (WOFF, WOFF2, TTF or OTF)',
+            profile: 'Show avatar and display name',
+            fontFailed: 'Could not load the font: {message}'
+        },
+        export: {
+            zip: '🗜️ ZIP with all cards',
+            pdf: '📄 PDF recap',
+            story: '📱 Story'
+        },
+        share: {
+            open: '📣 Share on Mastodon',
+            permission: 'To post your cards directly, this app needs permission to upload media and publish posts. You will be asked to log in again.',
+            enable: '🔑 Allow posting',
+            cards: 'Cards',
+            template: 'Text',
+            templateHint: 'Placeholders: {period} for the period, {part} and {parts} for the position in the thread. Each post gets up to four cards, the rest follow as replies.',
+            defaultTemplate: 'My #MastodonWrapped {period} 🦣 ({part}/{parts})',
+            visibility: 'Visibility',
+            visibilities: {
+                public: 'Public',
+                unlisted: 'Unlisted',
+                private: 'Followers only',
+                direct: 'Mentioned people only'
+            },
+            preview: '👀 Preview',
+            post: '📣 Post now',
+            postLabel: 'Post {part} of {parts}',
+            uploading: 'Uploading image {current} of {total}...',
+            posting: 'Publishing post {part} of {parts}...',
+            done: 'Your Wrapped has been posted!',
+            viewPost: 'Open post',
+            uploadFailed: 'Uploading an image failed (HTTP {status})',
+            processingTimeout: 'The server did not finish processing an image in time, so the post was not published. Please try again later.',
+            postFailed: 'Publishing failed (HTTP {status})',
+            failed: 'Sharing failed: {message}'
+        },
+        weekdays: {
+            short: ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'],
+            adverbs: ['on Mondays', 'on Tuesdays', 'on Wednesdays', 'on Thursdays', 'on Fridays', 'on Saturdays', 'on Sundays']
+        },
+        duration: {
+            minutes: { one: '{count} minute', other: '{count} minutes' },
+            hours: { one: '{count} hour', other: '{count} hours' },
+            days: { one: '{count} day', other: '{count} days' }
+        },
+        chart: {
+            less: 'less',
+            more: 'more'
+        },
+        cards: {
+            total: {
+                label: 'Toots posted',
+                avgLength: '📝 {count} avg. characters',
+                withMedia: '🖼️ {count} with media',
+                replies: '💬 {count} replies',
+                retoots: '♻️ {count} boosts',
+                alt: 'Toots posted {period}: {total} toots with an average of {avgLength} characters. {withMedia} had media, {replies} were replies and you boosted {retoots} toots.'
+            },
+            hashtags: {
+                label: 'Top hashtags',
+                entry: '#{tag} ({count}×)',
+                alt: 'Your top hashtags {period} were: {list}.',
+                altEntry: '#{tag} ({count} times)',
+                none: 'You did not use any hashtags {period}.'
+            },
+            activity: {
+                label: 'Most active hour',
+                value: '{hour}:00',
+                extra: '{day} | {count}-day streak',
+                alt: 'Your most active hour {period} was {hour}:00. Your longest streak lasted {count} days and your most active day of the week was {day}.'
+            },
+            heatmap: {
+                label: 'When you toot',
+                timeZone: 'Time zone: {timeZone}',
+                alt: 'Heatmap of your toots {period} by weekday and hour (time zone {timeZone}).',
+                empty: 'No toots in this period.',
+                window: '{weekday} from {from}:00 to {to}:00 ({count} toots)',
+                peaks: 'You were most active {windows}.',
+                busiest: 'Overall you tooted most {weekday} and at {hour}:00.'
+            },
+            calendar: {
+                label: 'Your toot calendar',
+                activeDays: { one: '📅 {count} active day', other: '📅 {count} active days' },
+                currentStreak: '🔥 Current streak: {count} days (longest: {longest})',
+                longestBreak: '😴 Longest break: {count} days',
+                busiestDay: { one: '🏆 {date}: {count} toot', other: '🏆 {date}: {count} toots' },
+                noBusiestDay: '🏆 No busiest day yet',
+                alt: 'Calendar of your toots {period}, each day shaded by the number of toots.',
+                altActive: 'You tooted on {active} of the {total} days shown.',
+                altBusiest: 'Your busiest day was {date} with {count} toots.',
+                altStreaks: 'Your longest streak lasted {longest} days, your current streak is {current} days.',
+                altBreak: 'Your longest break lasted {count} days, from {from} to {to}.'
+            },
+            longest: {
+                label: 'Longest toot (characters)',
+                shortest: '📏 Shortest: {count} characters',
+                median: '📊 Median: {count} characters',
+                alt: 'Your longest toot {period} had {longest} characters. The shortest had {shortest} characters and the median was {median} characters.'
+            },
+            words: {
+                label: 'Words written',
+                pages: '📖 That is {count} book pages!',
+                perToot: '💬 avg. {count} words per toot',
+                alt: 'Words written {period}: {total} words, roughly {pages} book pages. On average each toot had {avg} words.'
+            },
+            timeofday: {
+                value: 'Time of day',
+                morning: '🌅 Morning (6-12): {percent}%',
+                afternoon: '☀️ Afternoon (12-18): {percent}%',
+                evening: '🌆 Evening (18-24): {percent}%',
+                night: '🌙 Night (0-6): {percent}%',
+                alt: 'Time of day: {Period} you posted {morning}% of your toots in the morning, {afternoon}% in the afternoon, {evening}% in the evening and {night}% at night.'
+            },
+            social: {
+                value: '{count} 👥 mentions',
+                label: 'Social & connected',
+                favourites: '⭐ {count} favourites received',
+                reblogs: '🔁 {count} boosts received',
+                links: '🔗 {count} links shared',
+                private: '🔒 {count} private toots',
+                alt: '{Period} you made {mentions} mentions, shared {links} links, received {reblogs} boosts and {favourites} favourites and posted {private} private toots.'
+            },
+            mentions: {
+                label: 'Mentioned most',
+                entry: '@{acct} ({count}×)',
+                alt: 'The accounts you mentioned most {period}: {list}.',
+                altEntry: '@{acct} ({count} times)',
+                none: 'You did not mention anyone {period}.'
+            },
+            circle: {
+                title: 'Inner circle',
+                label: 'Your inner circle',
+                replies: { one: '💬 {count} reply', other: '💬 {count} replies' },
+                mentions: { one: '👥 {count} mention', other: '👥 {count} mentions' },
+                boosts: { one: '🔁 {count} boost', other: '🔁 {count} boosts' },
+                alt: 'The accounts you interacted with most {period}: {list}.'
+            },
+            content: {
+                title: 'Content & alt text',
+                label: 'of your media had alt text',
+                noMedia: 'No media attached',
+                withMedia: 'Toots with media',
+                media: {
+                    image: { one: '🖼️ {count} image', other: '🖼️ {count} images' },
+                    video: { one: '🎬 {count} video', other: '🎬 {count} videos' },
+                    gifv: { one: '🎞️ {count} GIF', other: '🎞️ {count} GIFs' },
+                    audio: { one: '🎵 {count} audio', other: '🎵 {count} audios' },
+                    unknown: { one: '📎 {count} attachment', other: '📎 {count} attachments' }
+                },
+                mediaWords: {
+                    image: { one: '{count} image', other: '{count} images' },
+                    video: { one: '{count} video', other: '{count} videos' },
+                    gifv: { one: '{count} GIF', other: '{count} GIFs' },
+                    audio: { one: '{count} audio file', other: '{count} audio files' },
+                    unknown: { one: '{count} other attachment', other: '{count} other attachments' }
+                },
+                polls: { one: '📊 {count} poll with {votes} votes', other: '📊 {count} polls with {votes} votes' },
+                contentWarnings: '⚠️ {percent} behind a content warning',
+                edited: { one: '✏️ {count} edited toot', other: '✏️ {count} edited toots' },
+                languages: '🌍 {languages}',
+                alt: '{percent} of your media {period} had alt text ({described} of {total}).',
+                altNoMedia: 'You did not attach any media {period}.',
+                altMedia: 'You shared {list}.',
+                altPolls: { one: 'You created {count} poll that received {votes} votes.', other: 'You created {count} polls that received {votes} votes.' },
+                altContentWarnings: '{percent} of your toots were behind a content warning.',
+                altEdited: { one: 'You edited {count} toot.', other: 'You edited {count} toots.' },
+                altLanguages: 'Languages: {languages}.'
+            },
+            followers: {
+                title: 'New followers',
+                label: 'New followers',
+                series: 'Follows',
+                total: { one: '👋 {count} new follower', other: '👋 {count} new followers' },
+                alt: 'Bar chart of your new followers per month {period}, {count} in total.',
+                peak: 'Most people followed you in {month} ({count}).'
+            },
+            fans: {
+                title: 'Top fans',
+                label: 'Your top fans',
+                favourites: { one: '⭐ {count} favourite', other: '⭐ {count} favourites' },
+                reblogs: { one: '🔁 {count} boost', other: '🔁 {count} boosts' },
+                mentions: { one: '👥 {count} mention', other: '👥 {count} mentions' },
+                alt: 'The accounts that engaged with you most {period}: {list}.'
+            },
+            engagement: {
+                title: 'Most engaged day',
+                label: 'Most engaged day',
+                day: { one: '✨ {count} reaction on that day', other: '✨ {count} reactions on that day' },
+                total: { one: '📬 {count} reaction in total', other: '📬 {count} reactions in total' },
+                polls: { one: '🗳️ {count} poll finished', other: '🗳️ {count} polls finished' },
+                alt: 'Your most engaged day {period} was {date} with {count} favourites, boosts and mentions. In total you received {total}.'
+            },
+            reactions: {
+                title: 'Reaction speed',
+                label: 'Until the first reaction (median)',
+                fastest: '⚡ Fastest: {duration}',
+                count: { one: '📝 Based on {count} toot', other: '📝 Based on {count} toots' },
+                alt: 'Your toots {period} got their first favourite or boost after {median} (median). The fastest reaction came after {fastest}. Based on {count} toots.'
+            },
+            topToots: {
+                favourites: 'Most favourited toots',
+                reblogs: 'Most boosted toots',
+                replies: 'Most replied-to toots',
+                favouritesCount: 'favourites',
+                reblogsCount: 'boosts',
+                repliesCount: 'replies',
+                none: 'No {countLabel} {period}',
+                noText: '(no text)',
+                alt: '{label} {period}: {list}.',
+                altEntry: '{rank}. “{excerpt}” from {date} with {count} {countLabel}',
+                altNone: '{Period} none of your toots received {countLabel}.'
+            },
+            month: {
+                label: 'Most active month',
+                extra: { one: '{count} toot', other: '{count} toots' },
+                alt: 'Your most active month {period} was {month} with {count} toots.'
+            },
+            timeline: {
+                label: 'Your year over time',
+                originals: 'Toots',
+                replies: 'Replies',
+                boosts: 'Boosts',
+                alt: 'Bar chart of your posts per month {period}, split into toots, replies and boosts.',
+                empty: 'No posts in this period.',
+                peak: 'You peaked in {month} with {total} posts ({originals} toots, {replies} replies, {boosts} boosts).',
+                silent: 'In {month} you went completely quiet.',
+                quiet: 'Your quietest month was {month} with {total} posts.',
+                rising: 'You were more active in the second half of the period than in the first.',
+                falling: 'You got quieter in the second half of the period.'
+            },
+            compare: {
+                title: 'Comparison',
+                versus: '{current} vs. {previous}',
+                label: 'toots compared to {period}',
+                new: 'new',
+                entry: '{label}: {previous} → {current} ({change})',
+                metrics: {
+                    toots: 'Toots',
+                    words: 'Words',
+                    activeDays: 'Active days',
+                    replies: 'Replies',
+                    favourites: 'Favourites received',
+                    reblogs: 'Boosts received'
+                },
+                alt: 'Comparison of {period} with {previous}: {list}.'
+            },
+            shifts: {
+                title: 'What changed',
+                label: 'How you changed since {period}',
+                types: {
+                    morning: 'Early bird',
+                    afternoon: 'Daytime tooter',
+                    evening: 'Evening tooter',
+                    night: 'Night owl'
+                },
+                type: 'from {from} to {to}',
+                typeSame: 'still a {value}',
+                hashtag: 'Top hashtag: #{from} → #{to}',
+                hashtagSame: 'Top hashtag: still #{value}',
+                day: 'Most active day: {from} → {to}',
+                daySame: 'Most active day: still {value}',
+                hour: 'Most active hour: {from}:00 → {to}:00',
+                hourSame: 'Most active hour: still {value}:00',
+                length: 'Average length: {from} → {to} characters',
+                lengthSame: 'Average length: still {value} characters',
+                alt: 'How my tooting changed from {previous} to {period}: {list}.'
+            }
+        }
+    },
+    de: {
+        app: {
+            title: 'Mastodon Wraps Importer',
+            subtitle: 'Importiere deine Toots und erstelle dein <a href="https://joinmastodon.org/de" target="_blank">Mastodon</a> Wraps! Alle Toots werden lokal in deinem Browser gespeichert und verarbeitet. Das Tool ist mit allen ActivityPub-Software kompatibel, die mit der Mastodon-API kompatibel ist. Du kannst wählen, ob ein Kalenderjahr, die letzten 12 Monate, ein eigener Zeitraum oder alle Toots importiert und ausgewertet werden. Erstellt von <a href="https://hachyderm.io/@sabrinkmann" target="_blank">@sabrinkmann@hachyderm.io</a> und <a href="https://norden.social/@54gradsoftware" target="_blank">@54gradsoftware@norden.social</a>. Veröffentlicht unter AGPL auf <a href="https://github.com/54GradSoftware/mastodon-wraps" target="_blank">GitHub</a>.',
+            language: 'Sprache',
+            generating: 'Erstelle dein Wrapped...',
+            generatingProgress: '{percent}% ausgewertet',
+            imprint: 'Impressum',
+            privacy: 'Datenschutz',
+            analytics: 'Zum Datensparsamen Analyse nutzt diese Anwendung'
+        },
+        login: {
+            intro: 'Bevor wir dein Mastodon Wraps erstellen können musst du dich mit deiner Mastodon-Instanz verbinden. Dafür musst du erst deine Mastodon Instanz URL eingeben. Dann wirst du weitergeleitet und kannst dich authentifizieren. Wir brauchen eine Leseberechtigung auf deine Toots, um die Daten zu importieren. Alle Daten aus Mastodon werden lokal in deinem Browser gespeichert und nicht an Dritte weitergegeben. Anschließen kannst du dann deinen Mastodon Wraps erstellen.',
+            instanceLabel: 'Mastodon Instanz URL',
+            instancePlaceholder: 'z.B. mastodon.social',
+            connect: '🔌 Mit Mastodon verbinden',
+            cancel: 'Abbrechen',
+            allowPosting: 'Auch Beiträge erlauben, damit du deine Karten direkt auf Mastodon teilen kannst (optional)',
+            compatibility: 'Neben Mastodon funktionieren auch GoToSocial, Akkoma/Pleroma, Friendica und Misskey-Abkömmlinge mit Mastodon-API (z.B. Sharkey, Iceshrimp). Die Server-Software wird automatisch erkannt.'
+        },
+        archive: {
+            label: 'Oder: Datenexport importieren',
+            hint: 'Ohne Login: Lade das Archiv hoch, das du in Mastodon unter Einstellungen → Import und Export → Datenexport anfordern kannst (ZIP-Datei oder die darin enthaltene outbox.json). Die Datei wird nur in deinem Browser gelesen.',
+            reading: 'Lese Archiv...',
+            converting: 'Wandle Aktivitäten um...',
+            saved: '{saved} von {total} Toots gespeichert...',
+            account: '📦 Toots von @{account} aus einem Datenexport. Melde dich mit diesem Konto an, um neue Toots zu importieren.',
+            noOutbox: 'Keine outbox.json im Archiv gefunden',
+            noAccount: 'Konto konnte nicht ermittelt werden',
+            invalidZip: 'Keine gültige ZIP-Datei',
+            unsupportedCompression: 'Nicht unterstützte Komprimierung in {name}',
+            failed: 'Archiv-Import fehlgeschlagen: {message}'
+        },
+        account: {
+            connected: '✓ Erfolgreich mit {instance} verbunden als @{username}',
+            label: 'Konto',
+            add: '➕ Weiteres Konto',
+            logout: '🚪 Abmelden',
+            confirmLogout: 'Möchtest du dich von @{account} abmelden? Der Zugriff dieser App wird widerrufen und die importierten Toots dieses Kontos werden gelöscht.',
+            sessionExpired: 'Der Zugriff auf @{account} ist abgelaufen oder wurde widerrufen. Bitte melde dich erneut an, um fortzufahren.',
+            relogin: '🔑 Erneut anmelden'
+        },
+        server: {
+            detected: 'Server-Software: {name} {version}',
+            notes: {
+                mastodon: 'Import, alle Karten und das Teilen werden vollständig unterstützt.',
+                gotosocial: 'Import und Karten werden unterstützt. Zum Teilen braucht GoToSocial die volle Schreibberechtigung. Boost- und Antwortzähler älterer Toots können fehlen.',
+                akkoma: 'Import, Karten und Teilen werden unterstützt. Nur lokal sichtbare Toots zählen als ungelistet.',
+                misskey: 'Import und Karten funktionieren über die Mastodon-kompatible API. Zum Teilen wird die volle Schreibberechtigung gebraucht, Notizen nur für Follower oder bestimmte Personen zählen als privat bzw. direkt. Reaktionen zählen nicht auf jedem Server als Favoriten.',
+                friendica: 'Import und Karten werden unterstützt. Zum Teilen wird die volle Schreibberechtigung gebraucht. Boost- und Antwortzähler können unvollständig sein.',
+                unknown: 'Die Server-Software konnte nicht erkannt werden. Es wird eine Mastodon-kompatible API angenommen, einzelne Karten bleiben eventuell leer.'
+            }
+        },
+        period: {
+            label: 'Zeitraum',
+            year: 'Kalenderjahr',
+            last12: 'Letzte 12 Monate',
+            custom: 'Eigener Zeitraum',
+            all: 'Alle Toots',
+            yearLabel: 'Jahr',
+            from: 'Von',
+            to: 'Bis',
+            today: 'heute',
+            allLabel: 'Gesamt',
+            phraseYear: 'in {year}',
+            phraseLast12: 'in den letzten 12 Monaten',
+            phraseCustom: 'im Zeitraum {range}',
+            phraseAll: 'insgesamt'
+        },
+        compare: {
+            label: 'Vergleichen mit',
+            none: 'Kein Vergleich',
+            previous: 'Vorheriger Zeitraum',
+            hint: 'Vergleichskarten zeigen die Veränderungen seit {period}. Statistiken früherer Zeiträume werden gespeichert, der Vergleich funktioniert daher auch, nachdem ältere Toots gelöscht wurden.',
+            unavailable: 'Für diese Auswahl gibt es keinen vorherigen Zeitraum.'
+        },
+        timeZone: {
+            label: 'Zeitzone'
+        },
+        storage: {
+            title: '💾 Speicher und Sicherung',
+            toots: 'Gespeicherte Toots',
+            beforePeriod: 'davon vor {period}',
+            notifications: 'Benachrichtigungen',
+            snapshots: 'Gespeicherte Auswertungen',
+            usage: 'von dieser Seite belegt (von {quota} verfügbar)',
+            pruneHint: 'Löscht die gespeicherten Toots dieses Kontos vor dem gewählten Zeitraum, um Speicher freizugeben. Bereits erstellte Wrapped anderer Zeiträume bleiben über die gespeicherten Auswertungen erhalten, gelöschte Toots kannst du jederzeit erneut importieren.',
+            prune: '🧹 Toots vor dem Zeitraum löschen',
+            confirmPrune: { one: '{count} Toot vor {period} löschen?', other: '{count} Toots vor {period} löschen?' },
+            pruned: { one: '{count} Toot gelöscht.', other: '{count} Toots gelöscht.' },
+            backupHint: 'Speichert alle Konten, Toots, Benachrichtigungen, Auswertungen und Einstellungen als JSON-Datei, z.B. für den Umzug in einen anderen Browser oder als Archiv. Zugangstoken sind nicht enthalten, melde dich nach dem Einspielen erneut an, um neue Toots zu importieren.',
+            export: '📦 Sicherung herunterladen',
+            exporting: 'Erstelle Sicherung...',
+            exported: { one: 'Sicherung mit {count} Toot heruntergeladen.', other: 'Sicherung mit {count} Toots heruntergeladen.' },
+            restoreLabel: 'Sicherung einspielen',
+            restoreHint: 'Du hast Mastodon Wraps schon in einem anderen Browser genutzt? Spiele dessen Sicherung ein, statt alles neu zu importieren.',
+            reading: 'Lese Sicherung...',
+            restoring: '{saved} von {total} Einträgen eingespielt...',
+            restored: 'Sicherung eingespielt: {toots} Toots, {notifications} Benachrichtigungen und {settings} Einträge für Konten, Auswertungen und Einstellungen hinzugefügt. Vorhandene Einträge wurden beibehalten.',
+            invalidBackup: 'Die Datei ist keine Sicherung von Mastodon Wraps',
+            newerBackup: 'Die Sicherung wurde mit einer neueren Version von Mastodon Wraps erstellt',
+            restoreFailed: 'Einspielen fehlgeschlagen: {message}'
+        },
+        notifications: {
+            label: 'Erhaltene Reaktionen (optional)',
+            hint: 'Importiert zusätzlich deine Benachrichtigungen über Favoriten, Re-Toots, Erwähnungen, neue Follower und beendete Umfragen im gewählten Zeitraum. Daraus wird sichtbar, wer wann mit dir interagiert hat. Viele Server bewahren Benachrichtigungen nur begrenzt auf.',
+            stored: { one: '🔔 {count} Benachrichtigung gespeichert', other: '🔔 {count} Benachrichtigungen gespeichert' },
+            import: '🔔 Benachrichtigungen importieren',
+            loadingNew: 'Lade neue Benachrichtigungen...',
+            loading: 'Lade Benachrichtigungen...',
+            page: 'Seite {page}: {added} neue Benachrichtigungen...',
+            complete: { one: 'Benachrichtigungen importiert, {count} neue Benachrichtigung.', other: 'Benachrichtigungen importiert, {count} neue Benachrichtigungen.' }
+        },
+        import: {
+            existing: '📊 {count} (Re-)Toots bereits in der Datenbank vorhanden',
+            generate: '🎉 Wrapped generieren',
+            importNew: '📩 Neue Toots importieren',
+            resume: '⏯️ Import fortsetzen',
+            start: 'Import starten',
+            viewToots: '📬 Toots anzeigen',
+            restart: '🔃 Neu starten',
+            cancel: '✖ Abbrechen',
+            complete: '✓ Import abgeschlossen!',
+            added: 'Neue Toots importiert',
+            updated: 'Toots aktualisiert',
+            total: 'Toots gesamt',
+            duration: 'Dauer',
+            confirmReset: 'Möchtest du wirklich alle lokalen Daten aller Konten löschen und neu starten?'
+        },
+        status: {
+            loadingNew: 'Lade neue Toots...',
+            refreshing: 'Aktualisiere Favoriten und Reblogs...',
+            loading: 'Lade Toots...',
+            page: 'Seite {page}: {added} neue, {updated} aktualisierte Toots...',
+            retry: '{reason}, neuer Versuch in {seconds}s ({attempt}/{max})...',
+            networkError: 'Netzwerkfehler',
+            complete: 'Import abgeschlossen!'
+        },
+        errors: {
+            connection: 'Fehler bei der Verbindung: {message}',
+            appRegistration: 'App-Registrierung fehlgeschlagen',
+            noCredentials: 'Keine gespeicherten Credentials gefunden',
+            token: 'Token-Abruf fehlgeschlagen',
+            clientRejected: 'Der Server akzeptiert diese App nicht mehr. Bitte melde dich erneut an, die App wird dabei neu registriert.',
+            user: 'User-Abruf fehlgeschlagen',
+            auth: 'Authentifizierung fehlgeschlagen: {message}',
+            unreachable: 'Instanz nicht erreichbar',
+            fetchToots: 'Fehler beim Abrufen der Toots',
+            importCancelled: 'Import abgebrochen. {count} Toots sind gespeichert, der Import kann später fortgesetzt werden.',
+            import: 'Import-Fehler: {message}',
+            fetchNotifications: 'Fehler beim Abrufen der Benachrichtigungen',
+            notificationsCancelled: 'Import der Benachrichtigungen abgebrochen. {count} Benachrichtigungen sind gespeichert.',
+            notifications: 'Fehler beim Import der Benachrichtigungen: {message}',
+            generate: 'Fehler beim Generieren: {message}',
+            aborted: 'Import abgebrochen',
+            state: 'Die Antwort des Servers gehört zu keinem hier gestarteten Login. Bitte melde dich erneut an.',
+            authDenied: 'Der Server hat den Zugriff nicht gewährt: {message}',
+            sessionExpired: 'Zugriffstoken abgelaufen oder widerrufen',
+            export: 'Export fehlgeschlagen: {message}',
+            canvasBlob: 'Das Bild einer Karte konnte nicht erstellt werden',
+            revoke: 'Das Zugriffstoken bei {instance} konnte nicht widerrufen werden. Du kannst es in deinen Kontoeinstellungen unter "Autorisierte Apps" widerrufen.'
+        },
+        toots: {
+            title: 'Deine Toots ({count})',
+            search: 'Toots durchsuchen',
+            hashtag: 'Hashtag',
+            mention: 'Erwähntes Konto',
+            kind: 'Art',
+            kinds: {
+                all: 'Alle Arten',
+                original: 'Toot',
+                reply: 'Antwort',
+                boost: 'Re-Toot'
+            },
+            allVisibilities: 'Alle Sichtbarkeiten',
+            sort: 'Sortieren nach',
+            sorts: {
+                newest: 'Neueste zuerst',
+                oldest: 'Älteste zuerst',
+                engagement: 'Meiste Interaktionen',
+                favourites: 'Meiste Favoriten',
+                reblogs: 'Meiste Re-Toots',
+                replies: 'Meiste Antworten',
+                length: 'Längste zuerst'
+            },
+            media: 'Nur Toots mit Medien',
+            results: { one: '{count} Toot gefunden', other: '{count} Toots gefunden' },
+            reset: 'Filter zurücksetzen',
+            open: 'Öffnen',
+            noResults: 'Keine Toots passen zu diesen Filtern.',
+            contentWarning: '⚠️ CW: {warning}',
+            showContent: 'Anzeigen',
+            hideContent: 'Verbergen',
+            mediaTypes: {
+                image: '🖼️ Bild',
+                video: '🎬 Video',
+                gifv: '🎞️ GIF',
+                audio: '🎵 Audio',
+                unknown: '📎 Anhang'
+            }
+        },
+        wrapped: {
+            title: '🎉 Dein Mastodon Wrapped {period}',
+            header: 'Mastodon Wrapped {period}',
+            download: '💾 Download',
+            altTextLabel: 'Beispiel Alternativtext',
+            altTextPlaceholder: 'Alternativtext für Barrierefreiheit',
+            downloadAll: '📥 Alle herunterladen'
+        },
+        picker: {
+            title: 'Karten auswählen und anordnen',
+            hint: 'Ziehe Karten, um die Reihenfolge zu ändern, und entferne den Haken bei Karten, die du nicht möchtest. Karten ohne Daten werden automatisch ausgeblendet. Downloads, Exporte und das Teilen verwenden diese Auswahl.',
+            empty: 'keine Daten',
+            up: 'Nach oben',
+            down: 'Nach unten',
+            optIn: 'braucht deine Zustimmung'
+        },
+        circle: {
+            enabled: 'Karten anzeigen, die andere Konten nennen („Innerer Kreis“ und „Größte Fans“)',
+            graph: 'Inneren Kreis als Netzwerk um dein Profilbild zeigen',
+            hint: 'Diese Karten nennen die Konten, denen du am meisten geantwortet, die du am meisten erwähnt und geteilt hast, und die Konten, die am meisten mit dir interagiert haben. Sie sind standardmäßig aus, weil sie beim Teilen deiner Karten andere Personen zeigen.'
+        },
+        theme: {
+            label: 'Design',
+            names: {
+                classic: 'Bunt',
+                light: 'Hell',
+                dark: 'Dunkel',
+                contrast: 'Hoher Kontrast',
+                brand: 'Farben der Instanz',
+                custom: 'Eigene Farben'
+            },
+            background: 'Hintergrundfarbe',
+            text: 'Textfarbe',
+            font: 'Schrift',
+            customFont: 'Eigene Schrift laden (WOFF, WOFF2, TTF oder OTF)',
+            profile: 'Profilbild und Anzeigename zeigen',
+            fontFailed: 'Schrift konnte nicht geladen werden: {message}'
+        },
+        export: {
+            zip: '🗜️ ZIP mit allen Karten',
+            pdf: '📄 PDF-Rückblick',
+            story: '📱 Story'
+        },
+        share: {
+            open: '📣 Auf Mastodon teilen',
+            permission: 'Um deine Karten direkt zu teilen, braucht die App die Berechtigung, Medien hochzuladen und Beiträge zu veröffentlichen. Du wirst dafür erneut angemeldet.',
+            enable: '🔑 Beiträge erlauben',
+            cards: 'Karten',
+            template: 'Text',
+            templateHint: 'Platzhalter: {period} für den Zeitraum, {part} und {parts} für die Position im Thread. Jeder Beitrag bekommt bis zu vier Karten, der Rest folgt als Antworten.',
+            defaultTemplate: 'Mein #MastodonWrapped {period} 🦣 ({part}/{parts})',
+            visibility: 'Sichtbarkeit',
+            visibilities: {
+                public: 'Öffentlich',
+                unlisted: 'Nicht gelistet',
+                private: 'Nur Follower',
+                direct: 'Nur erwähnte Profile'
+            },
+            preview: '👀 Vorschau',
+            post: '📣 Jetzt veröffentlichen',
+            postLabel: 'Beitrag {part} von {parts}',
+            uploading: 'Lade Bild {current} von {total} hoch...',
+            posting: 'Veröffentliche Beitrag {part} von {parts}...',
+            done: 'Dein Wrapped wurde veröffentlicht!',
+            viewPost: 'Beitrag öffnen',
+            uploadFailed: 'Hochladen eines Bildes fehlgeschlagen (HTTP {status})',
+            processingTimeout: 'Der Server hat ein Bild nicht rechtzeitig verarbeitet, der Beitrag wurde deshalb nicht veröffentlicht. Bitte versuche es später noch einmal.',
+            postFailed: 'Veröffentlichen fehlgeschlagen (HTTP {status})',
+            failed: 'Teilen fehlgeschlagen: {message}'
+        },
+        weekdays: {
+            short: ['Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa', 'So'],
+            adverbs: ['montags', 'dienstags', 'mittwochs', 'donnerstags', 'freitags', 'samstags', 'sonntags']
+        },
+        duration: {
+            minutes: { one: '{count} Minute', other: '{count} Minuten' },
+            hours: { one: '{count} Stunde', other: '{count} Stunden' },
+            days: { one: '{count} Tag', other: '{count} Tage' }
+        },
+        chart: {
+            less: 'weniger',
+            more: 'mehr'
+        },
+        cards: {
+            total: {
+                label: 'Toots gepostet',
+                avgLength: '📝 {count} Ø Zeichen',
+                withMedia: '🖼️ {count} mit Medien',
+                replies: '💬 {count} Antworten',
+                retoots: '♻️ {count} Re-Toots',
+                alt: 'Toots gepostet {period}, {total} Toots gepostet mit durchschnittlich {avgLength} Zeichen. Davon hatten {withMedia} Medien, {replies} waren Antworten und {retoots} Re-Toots.'
+            },
+            hashtags: {
+                label: 'Top Hashtags',
+                entry: '#{tag} ({count}×)',
+                alt: 'Top Hashtags {period} waren: {list}.',
+                altEntry: '#{tag} ({count} mal)',
+                none: 'Du hast {period} keine Hashtags verwendet.'
+            },
+            activity: {
+                label: 'Aktivste Stunde',
+                value: '{hour}:00 Uhr',
+                extra: '{day} | {count} Tage Serie',
+                alt: 'Aktivste Stunde {period} war {hour}:00 Uhr. Dein längster Aktivitätszeitraum betrug {count} Tage, am aktivsten warst du an einem {day}.'
+            },
+            heatmap: {
+                label: 'Wann du tootest',
+                timeZone: 'Zeitzone: {timeZone}',
+                alt: 'Heatmap deiner Toots {period} nach Wochentag und Uhrzeit (Zeitzone {timeZone}).',
+                empty: 'Keine Toots im Zeitraum.',
+                window: '{weekday} von {from} bis {to} Uhr ({count} Toots)',
+                peaks: 'Am aktivsten warst du {windows}.',
+                busiest: 'Insgesamt am meisten getootet hast du {weekday} und um {hour}:00 Uhr.'
+            },
+            calendar: {
+                label: 'Dein Toot-Kalender',
+                activeDays: { one: '📅 {count} aktiver Tag', other: '📅 {count} aktive Tage' },
+                currentStreak: '🔥 Aktuelle Serie: {count} Tage (längste: {longest})',
+                longestBreak: '😴 Längste Pause: {count} Tage',
+                busiestDay: { one: '🏆 {date}: {count} Toot', other: '🏆 {date}: {count} Toots' },
+                noBusiestDay: '🏆 Noch kein aktivster Tag',
+                alt: 'Kalender deiner Toots {period}, jeder Tag als Feld eingefärbt nach Anzahl der Toots.',
+                altActive: 'An {active} der {total} gezeigten Tage hast du getootet.',
+                altBusiest: 'Dein aktivster Tag war der {date} mit {count} Toots.',
+                altStreaks: 'Deine längste Serie dauerte {longest} Tage, deine aktuelle Serie {current} Tage.',
+                altBreak: 'Die längste Pause dauerte {count} Tage, vom {from} bis {to}.'
+            },
+            longest: {
+                label: 'Längster Toot (Zeichen)',
+                shortest: '📏 Kürzester: {count} Zeichen',
+                median: '📊 Median: {count} Zeichen',
+                alt: 'Längster Toot {period} hatte {longest} Zeichen. Der kürzeste Toot hatte {shortest} Zeichen und der Median lag bei {median} Zeichen.'
+            },
+            words: {
+                label: 'Wörter geschrieben',
+                pages: '📖 Das sind {count} Buchseiten!',
+                perToot: '💬 Ø {count} Wörter pro Toot',
+                alt: 'Wörter geschrieben {period}: {total} Wörter, was etwa {pages} Buchseiten entspricht. Im Durchschnitt enthielt jeder Toot {avg} Wörter.'
+            },
+            timeofday: {
+                value: 'Tageszeit',
+                morning: '🌅 Morgen (6-12): {percent}%',
+                afternoon: '☀️ Mittag (12-18): {percent}%',
+                evening: '🌆 Abend (18-24): {percent}%',
+                night: '🌙 Nacht (0-6): {percent}%',
+                alt: 'Tageszeit: {Period} hast du deine Toots zu folgenden Tageszeiten gepostet: {morning}% am Morgen, {afternoon}% am Mittag, {evening}% am Abend und {night}% in der Nacht.'
+            },
+            social: {
+                value: '{count} 👥 Erwähnt',
+                label: 'Sozial & Vernetzt',
+                favourites: '⭐ {count} Favoriten erhalten',
+                reblogs: '🔁 {count} Reblogs erhalten',
+                links: '🔗 {count} Links geteilt',
+                private: '🔒 {count} Private Toots',
+                alt: '{Period} hast du {mentions} Erwähnungen gemacht, {links} Links geteilt, {reblogs} Reblogs erhalten, {favourites} Favoriten erhalten und {private} private Toots gepostet.'
+            },
+            mentions: {
+                label: 'Am häufigsten erwähnt',
+                entry: '@{acct} ({count}×)',
+                alt: 'Am häufigsten erwähnt hast du {period}: {list}.',
+                altEntry: '@{acct} ({count} mal)',
+                none: 'Du hast {period} niemanden erwähnt.'
+            },
+            circle: {
+                title: 'Innerer Kreis',
+                label: 'Dein innerer Kreis',
+                replies: { one: '💬 {count} Antwort', other: '💬 {count} Antworten' },
+                mentions: { one: '👥 {count} Erwähnung', other: '👥 {count} Erwähnungen' },
+                boosts: { one: '🔁 {count} Re-Toot', other: '🔁 {count} Re-Toots' },
+                alt: 'Die Konten, mit denen du {period} am meisten interagiert hast: {list}.'
+            },
+            content: {
+                title: 'Inhalte & Bildbeschreibungen',
+                label: 'deiner Medien hatten eine Bildbeschreibung',
+                noMedia: 'Keine Medien angehängt',
+                withMedia: 'Toots mit Medien',
+                media: {
+                    image: { one: '🖼️ {count} Bild', other: '🖼️ {count} Bilder' },
+                    video: { one: '🎬 {count} Video', other: '🎬 {count} Videos' },
+                    gifv: { one: '🎞️ {count} GIF', other: '🎞️ {count} GIFs' },
+                    audio: { one: '🎵 {count} Audio', other: '🎵 {count} Audios' },
+                    unknown: { one: '📎 {count} Anhang', other: '📎 {count} Anhänge' }
+                },
+                mediaWords: {
+                    image: { one: '{count} Bild', other: '{count} Bilder' },
+                    video: { one: '{count} Video', other: '{count} Videos' },
+                    gifv: { one: '{count} GIF', other: '{count} GIFs' },
+                    audio: { one: '{count} Audiodatei', other: '{count} Audiodateien' },
+                    unknown: { one: '{count} sonstigen Anhang', other: '{count} sonstige Anhänge' }
+                },
+                polls: { one: '📊 {count} Umfrage mit {votes} Stimmen', other: '📊 {count} Umfragen mit {votes} Stimmen' },
+                contentWarnings: '⚠️ {percent} hinter einer Inhaltswarnung',
+                edited: { one: '✏️ {count} bearbeiteter Toot', other: '✏️ {count} bearbeitete Toots' },
+                languages: '🌍 {languages}',
+                alt: '{percent} deiner Medien {period} hatten eine Bildbeschreibung ({described} von {total}).',
+                altNoMedia: 'Du hast {period} keine Medien angehängt.',
+                altMedia: 'Du hast {list} geteilt.',
+                altPolls: { one: 'Du hast {count} Umfrage erstellt, die {votes} Stimmen bekommen hat.', other: 'Du hast {count} Umfragen erstellt, die {votes} Stimmen bekommen haben.' },
+                altContentWarnings: '{percent} deiner Toots standen hinter einer Inhaltswarnung.',
+                altEdited: { one: 'Du hast {count} Toot bearbeitet.', other: 'Du hast {count} Toots bearbeitet.' },
+                altLanguages: 'Sprachen: {languages}.'
+            },
+            followers: {
+                title: 'Neue Follower',
+                label: 'Neue Follower',
+                series: 'Follows',
+                total: { one: '👋 {count} neuer Follower', other: '👋 {count} neue Follower' },
+                alt: 'Balkendiagramm deiner neuen Follower pro Monat {period}, insgesamt {count}.',
+                peak: 'Die meisten sind dir im {month} gefolgt ({count}).'
+            },
+            fans: {
+                title: 'Größte Fans',
+                label: 'Deine größten Fans',
+                favourites: { one: '⭐ {count} Favorit', other: '⭐ {count} Favoriten' },
+                reblogs: { one: '🔁 {count} Re-Toot', other: '🔁 {count} Re-Toots' },
+                mentions: { one: '👥 {count} Erwähnung', other: '👥 {count} Erwähnungen' },
+                alt: 'Die Konten, die {period} am meisten mit dir interagiert haben: {list}.'
+            },
+            engagement: {
+                title: 'Meiste Reaktionen',
+                label: 'Tag mit den meisten Reaktionen',
+                day: { one: '✨ {count} Reaktion an diesem Tag', other: '✨ {count} Reaktionen an diesem Tag' },
+                total: { one: '📬 {count} Reaktion insgesamt', other: '📬 {count} Reaktionen insgesamt' },
+                polls: { one: '🗳️ {count} Umfrage beendet', other: '🗳️ {count} Umfragen beendet' },
+                alt: 'Die meisten Reaktionen {period} gab es am {date} mit {count} Favoriten, Re-Toots und Erwähnungen. Insgesamt hast du {total} erhalten.'
+            },
+            reactions: {
+                title: 'Reaktionszeit',
+                label: 'Bis zur ersten Reaktion (Median)',
+                fastest: '⚡ Am schnellsten: {duration}',
+                count: { one: '📝 Auf Basis von {count} Toot', other: '📝 Auf Basis von {count} Toots' },
+                alt: 'Die erste Reaktion (Favorit oder Re-Toot) auf deine Toots {period} kam im Median nach {median}. Am schnellsten ging es nach {fastest}. Auf Basis von {count} Toots.'
+            },
+            topToots: {
+                favourites: 'Meistfavorisierte Toots',
+                reblogs: 'Meistgeteilte Toots',
+                replies: 'Meistbeantwortete Toots',
+                favouritesCount: 'Favoriten',
+                reblogsCount: 'Boosts',
+                repliesCount: 'Antworten',
+                none: 'Keine {countLabel} {period}',
+                noText: '(ohne Text)',
+                alt: '{label} {period}: {list}.',
+                altEntry: '{rank}. „{excerpt}“ vom {date} mit {count} {countLabel}',
+                altNone: '{Period} hat keiner deiner Toots {countLabel} bekommen.'
+            },
+            month: {
+                label: 'Aktivster Monat',
+                extra: { one: '{count} Toot', other: '{count} Toots' },
+                alt: 'Dein aktivster Monat {period} war {month} mit {count} Toots.'
+            },
+            timeline: {
+                label: 'Dein Jahr im Verlauf',
+                originals: 'Toots',
+                replies: 'Antworten',
+                boosts: 'Re-Toots',
+                alt: 'Balkendiagramm deiner Beiträge pro Monat {period}, aufgeteilt in Toots, Antworten und Re-Toots.',
+                empty: 'Keine Beiträge im Zeitraum.',
+                peak: 'Am aktivsten warst du im {month} mit {total} Beiträgen ({originals} Toots, {replies} Antworten, {boosts} Re-Toots).',
+                silent: 'Im {month} war es ganz still.',
+                quiet: 'Am ruhigsten war der {month} mit {total} Beiträgen.',
+                rising: 'In der zweiten Hälfte des Zeitraums warst du aktiver als in der ersten.',
+                falling: 'In der zweiten Hälfte des Zeitraums bist du ruhiger geworden.'
+            },
+            compare: {
+                title: 'Vergleich',
+                versus: '{current} vs. {previous}',
+                label: 'Toots im Vergleich zu {period}',
+                new: 'neu',
+                entry: '{label}: {previous} → {current} ({change})',
+                metrics: {
+                    toots: 'Toots',
+                    words: 'Wörter',
+                    activeDays: 'Aktive Tage',
+                    replies: 'Antworten',
+                    favourites: 'Erhaltene Favoriten',
+                    reblogs: 'Erhaltene Re-Toots'
+                },
+                alt: 'Vergleich von {period} mit {previous}: {list}.'
+            },
+            shifts: {
+                title: 'Was sich verändert hat',
+                label: 'So hast du dich seit {period} verändert',
+                types: {
+                    morning: 'Lerche',
+                    afternoon: 'Tagmensch',
+                    evening: 'Abendmensch',
+                    night: 'Nachteule'
+                },
+                type: 'von {from} zu {to}',
+                typeSame: 'weiterhin {value}',
+                hashtag: 'Top-Hashtag: #{from} → #{to}',
+                hashtagSame: 'Top-Hashtag: weiterhin #{value}',
+                day: 'Aktivster Tag: {from} → {to}',
+                daySame: 'Aktivster Tag: weiterhin {value}',
+                hour: 'Aktivste Stunde: {from}:00 → {to}:00 Uhr',
+                hourSame: 'Aktivste Stunde: weiterhin {value}:00 Uhr',
+                length: 'Durchschnittliche Länge: {from} → {to} Zeichen',
+                lengthSame: 'Durchschnittliche Länge: weiterhin {value} Zeichen',
+                alt: 'So hat sich mein Tooten von {previous} zu {period} verändert: {list}.'
+            }
+        }
+    }
+};
+
+/** Englisch ist Standard, wenn keine der Browsersprachen unterstützt wird */
+const SUPPORTED_LOCALES = ['en', 'de'];
+const DEFAULT_LOCALE = 'en';
+/** Namen der Sprachen in der jeweiligen Sprache, für die Sprachauswahl */
+const LANGUAGE_NAMES = { en: 'English', de: 'Deutsch' };
+
+/**
+ * Wählt die erste unterstützte Sprache aus den Browsereinstellungen.
+ * @returns {string}
+ */
+const detectLocale = () => {
+    const languages = navigator.languages?.length ? navigator.languages : [navigator.language];
+    for (const language of languages) {
+        const base = (language || '').slice(0, 2).toLowerCase();
+        if (SUPPORTED_LOCALES.includes(base)) return base;
+    }
+    return DEFAULT_LOCALE;
+};
+
+/**
+ * Sprach-Tag für Intl-Formatierung. Passt eine Browsersprache zur gewählten Sprache
+ * (z.B. en-GB zu en), wird deren Region für Datums- und Zahlenformate übernommen.
+ * @param {string} locale
+ * @returns {string}
+ */
+const intlLocaleFor = (locale) => {
+    return (navigator.languages || []).find(language => language.toLowerCase().startsWith(locale)) || locale;
+};
+
+/**
+ * Liefert eine Übersetzung. Fehlt ein Schlüssel, wird auf Englisch und dann auf den Schlüssel selbst zurückgegriffen.
+ * Zahlen in params werden sprachabhängig formatiert, Jahreszahlen daher als String übergeben.
+ * @param {string} locale
+ * @param {string} key Punkt-getrennter Pfad, z.B. "cards.total.label"
+ * @param {Object<string, string|number>} [params]
+ * @returns {string|string[]}
+ */
+const translate = (locale, key, params = {}) => {
+    const lookup = (language) => key.split('.').reduce((node, part) => node?.[part], MESSAGES[language]);
+    let message = lookup(locale) ?? lookup(DEFAULT_LOCALE) ?? key;
+
+    if (message && typeof message === 'object' && !Array.isArray(message)) {
+        message = message[new Intl.PluralRules(locale).select(params.count ?? 0)] ?? message.other;
+    }
+    if (typeof message !== 'string') return message;
+
+    const numberFormat = new Intl.NumberFormat(intlLocaleFor(locale));
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        const value = params[name];
+        return typeof value === 'number' ? numberFormat.format(value) : value;
+    });
+};
+
+/**
+ * Fehler, dessen Meldung erst beim Anzeigen in der gewählten Sprache erzeugt wird.
+ * message enthält die englische Fassung für die Konsole.
+ */
+class TranslatableError extends Error {
+    /**
+     * @param {string} key
+     * @param {Object<string, string|number>} [params]
+     */
+    constructor(key, params = {}) {
+        super(translate(DEFAULT_LOCALE, key, params));
+        this.key = key;
+        this.params = params;
+    }
+}
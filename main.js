@@ -1,14 +1,6 @@
-const { createApp, ref, onMounted, nextTick } = Vue;
-
-// TypeScript-style Interfaces (als JSDoc Kommentare)
-/**
- * @typedef {Object} MastodonToot
- * @property {string} id
- * @property {string} content
- * @property {string} created_at
- * @property {Array<{type: string}>} media_attachments
- */
+const { createApp, ref, computed, watch, onMounted, nextTick } = Vue;
 
+// TypeScript-style Interfaces (als JSDoc Kommentare), Toots und Statistiken siehe stats.js
 /**
  * @typedef {Object} AppCredentials
  * @property {string} client_id
@@ -17,7 +9,7 @@ const { createApp, ref, onMounted, nextTick } = Vue;
 
 /**
  * @typedef {Object} ConfigData
- * @property {string} key
+ * @property {string} key credentials:<host>
  * @property {string} instanceUrl
  * @property {string} clientId
  * @property {string} clientSecret
@@ -25,33 +17,30 @@ const { createApp, ref, onMounted, nextTick } = Vue;
 
 /**
  * @typedef {Object} AuthData
- * @property {string} key
- * @property {string} accessToken
+ * @property {string} key auth:<accountKey>
+ * @property {string} accountKey username@host
+ * @property {string} instanceUrl
+ * @property {string|null} accessToken null bei Konten aus einem Archiv-Import
  * @property {string} username
  * @property {string} userId
+ * @property {string} [scope] gewährte OAuth-Scopes, z.B. "read write:media write:statuses"
+ * @property {string} [displayName] Anzeigename ohne Custom-Emoji-Kürzel
+ * @property {string|null} [avatar] URL des statischen Profilbilds
  */
 
 /**
- * @typedef {Object} WrappedStats
- * @property {number} totalToots
- * @property {number} avgLength
- * @property {number} withMedia
- * @property {Array<{tag: string, count: number}>} topHashtags
- * @property {number} replies
- * @property {number} mostActiveHour
- * @property {string} mostActiveDay
- * @property {number} longestStreak
- * @property {number} longestToot
- * @property {number} shortestToot
- * @property {number} medianLength
- * @property {number} totalWords
- * @property {number} avgWords
- * @property {{morning: number, afternoon: number, evening: number, night: number}} timeDistribution
- * @property {number} totalLinks
- * @property {number} totalMentions
- * @property {number} boosts
- * @property {number} privateToots
- * @property {{name: string, count: number}} mostActiveMonth
+ * Position eines laufenden Imports, wird nach jeder Seite im config-Store gespeichert.
+ * new: neue Toots per min_id, refresh: Zähler der letzten Tage aktualisieren,
+ * backfill: per max_id rückwärts bis zum Stichtag, done: nur noch abschließen.
+ * @typedef {Object} ImportCursor
+ * @property {string} key importCursor:<accountKey>
+ * @property {'new'|'refresh'|'backfill'|'done'} phase
+ * @property {string|null} cursorId min_id bzw. max_id für die nächste Seite
+ * @property {string|null} oldestNewId ältester in Phase "new" gefundener Toot
+ * @property {{added: number, updated: number}} summary
+ * @property {number} page
+ * @property {string} startedAt
+ * @property {string} period Zeitraum, für den der Import begonnen wurde, siehe {@link importPeriodKey}
  */
 
 /**
@@ -59,325 +48,2427 @@ const { createApp, ref, onMounted, nextTick } = Vue;
  * @property {[string, string]} gradient
  * @property {string|number} value
  * @property {string} label
+ * @property {string} [altText]
+ * @property {Array<{meta: string, excerpt: string}>} [toots] Toot-Liste statt großem Wert
+ * @property {number[][]} [heatmap] Wochentag×Stunde-Raster statt großem Wert
+ * @property {{start: string, counts: number[]}} [calendar] Jahreskalender statt großem Wert
+ * @property {Array<{month: string}>} [timeline] Monatsverlauf statt großem Wert
+ * @property {Array<{field: string, label: string, alpha: number}>} [series] Reihen im Monatsverlauf, ohne Angabe Toots, Antworten und Re-Toots
+ * @property {Array<{acct: string, detail: string, total: number}>} [circle] Konten mit Profilbild statt großem Wert
+ * @property {boolean} [graph] circle als Netzwerk um das eigene Profilbild statt als Liste
+ * @property {Array<{label: string, filter: Partial<TootFilter>}>} [filters] Werte der Karte, die den Toot-Browser gefiltert öffnen
  */
 
-createApp({
-    setup() {
-        // Reactive State
-        const instanceUrl = ref('');
-        const clientId = ref(null);
-        const clientSecret = ref(null);
-        const accessToken = ref(null);
-        const username = ref('');
-        const userId = ref(null);
-        const isAuthenticated = ref(false);
-        const isLoading = ref(false);
-        const isImporting = ref(false);
-        const importComplete = ref(false);
-        const importProgress = ref(0);
-        const statusText = ref('');
-        const error = ref(null);
-        const totalToots = ref(0);
-        const importTime = ref(0);
-        const db = ref(null);
-        const toots = ref([]);
-        const showToots = ref(false);
-        const wrappedData = ref(null);
-        const isGenerating = ref(false);
-        const existingTootsCount = ref(0);
-        const cardsList = ref(['total','social', 'hashtags', 'activity', 'longest', 'words', 'timeofday', 'month']);
-        const cardsValue = ref({});
+/**
+ * Ein Beitrag beim Teilen auf Mastodon: höchstens vier Karten, weitere Beiträge antworten auf den vorherigen.
+ * @typedef {Object} SharePost
+ * @property {string} text
+ * @property {Array<{type: string, src: string, blob: Blob, altText: string}>} images Bilder so, wie sie in der Vorschau zu sehen sind
+ */
 
+/**
+ * Gestaltung der Karten. colors und text gelten nur für das eigene Farbschema.
+ * @typedef {Object} CardTheme
+ * @property {'classic'|'light'|'dark'|'contrast'|'brand'|'custom'} name
+ * @property {[string, string]} colors
+ * @property {string} text
+ * @property {string} font
+ * @property {boolean} showProfile Profilbild und Anzeigename in der Fußzeile
+ */
 
-        // Database Functions
-        /**
-         * @returns {Promise<IDBDatabase>}
-         */
-        const initDB = () => {
-            return new Promise((resolve, reject) => {
-                const request = indexedDB.open('MastodonDB', 1);
+/**
+ * @returns {WrappedPeriod}
+ */
+const defaultPeriod = () => {
+    const now = new Date();
+    // Im Januar ist meist noch das Vorjahr gemeint
+    const year = now.getMonth() === 0 ? now.getFullYear() - 1 : now.getFullYear();
+    return { type: 'year', year, from: '', to: '' };
+};
 
-                request.onerror = () => reject(request.error);
-                request.onsuccess = () => {
-                    db.value = request.result;
-                    resolve(request.result);
-                };
+/**
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD in lokaler Zeit
+ */
+const localDateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
 
-                request.onupgradeneeded = (event) => {
-                    const database = event.target.result;
-                    if (!database.objectStoreNames.contains('toots')) {
-                        database.createObjectStore('toots', { keyPath: 'id' });
-                    }
-                    if (!database.objectStoreNames.contains('config')) {
-                        database.createObjectStore('config', { keyPath: 'key' });
-                    }
-                };
-            });
-        };
+/**
+ * Vertauscht Beginn und Ende eines eigenen Zeitraums, wenn das Ende vor dem Beginn liegt.
+ * @param {WrappedPeriod} period
+ * @returns {WrappedPeriod}
+ */
+const orderedPeriod = (period) => period.type === 'custom' && period.from && period.to && period.from > period.to
+    ? { ...period, from: period.to, to: period.from }
+    : period;
 
-        /**
-         * @param {string} storeName
-         * @param {any} data
-         * @returns {Promise<void>}
-         */
-        const saveToDb = (storeName, data) => {
-            return new Promise((resolve, reject) => {
-                const transaction = db.value.transaction([storeName], 'readwrite');
-                const store = transaction.objectStore(storeName);
-                const request = store.put(data);
-                request.onsuccess = () => resolve();
-                request.onerror = () => reject(request.error);
-            });
-        };
+/**
+ * Gleich langer Zeitraum direkt vor dem angegebenen, z.B. 2024 für 2025. `null` für "Alle Toots"
+ * und eigene Zeiträume ohne Beginn.
+ * @param {WrappedPeriod} period
+ * @returns {WrappedPeriod|null}
+ */
+const previousPeriod = (period) => {
+    switch (period.type) {
+        case 'year':
+            return { type: 'year', year: period.year - 1, from: '', to: '' };
+        case 'custom': {
+            if (!period.from) return null;
+            const to = period.to || localDateKey(new Date());
+            const length = 1 + Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${period.from}T00:00:00Z`)) / 86400000);
+            // Beginn in der Zukunft
+            if (length < 1) return null;
+            return { type: 'custom', year: period.year, from: addDays(period.from, -length), to: addDays(period.from, -1) };
+        }
+        case 'all':
+            return null;
+        default: {
+            const { start } = getPeriodRange(period);
+            const from = new Date(start);
+            from.setFullYear(from.getFullYear() - 1);
+            return { type: 'custom', year: period.year, from: localDateKey(from), to: addDays(localDateKey(start), -1) };
+        }
+    }
+};
 
-        /**
-         * @param {string} storeName
-         * @param {string} key
-         * @returns {Promise<any>}
-         */
-        const getFromDb = (storeName, key) => {
-            return new Promise((resolve, reject) => {
-                const transaction = db.value.transaction([storeName], 'readonly');
-                const store = transaction.objectStore(storeName);
-                const request = store.get(key);
-                request.onsuccess = () => resolve(request.result);
-                request.onerror = () => reject(request.error);
-            });
-        };
+/**
+ * Schlüssel für gespeicherte Statistiken. Nur Kalenderjahre und eigene Zeiträume mit festem Beginn
+ * und Ende haben einen, gleitende Zeiträume ändern sich täglich.
+ * @param {WrappedPeriod} period
+ * @returns {string|null}
+ */
+const periodKey = (period) => {
+    if (period.type === 'year') return `year:${period.year}`;
+    if (period.type === 'custom' && period.from && period.to) return `custom:${period.from}:${period.to}`;
+    return null;
+};
 
-        /**
-         * @param {string} storeName
-         * @returns {Promise<any[]>}
-         */
-        const getAllFromDb = (storeName) => {
-            return new Promise((resolve, reject) => {
-                const transaction = db.value.transaction([storeName], 'readonly');
-                const store = transaction.objectStore(storeName);
-                const request = store.getAll();
-                request.onsuccess = () => resolve(request.result);
-                request.onerror = () => reject(request.error);
-            });
-        };
+/**
+ * Schlüssel des Zeitraums, für den ein Import-Stand gilt. Anders als bei {@link periodKey} haben auch
+ * gleitende und offene Zeiträume einen, das Ende spielt für den Import keine Rolle.
+ * @param {WrappedPeriod} period
+ * @returns {string}
+ */
+const importPeriodKey = (period) => period.type === 'custom' ? `custom:${period.from}` : periodKey(period) || period.type;
 
-        // Auth Functions
-        const startAuth = async () => {
-            error.value = null;
-            isLoading.value = true;
+/**
+ * @param {string} instanceUrl
+ * @returns {string}
+ */
+const hostOf = (instanceUrl) => new URL(instanceUrl).host;
 
-            try {
-                let instance = instanceUrl.value.trim();
-                if (!instance.startsWith('http')) {
-                    instance = 'https://' + instance;
-                }
-                instanceUrl.value = instance;
+/**
+ * Eindeutiger Schlüssel eines Kontos, unter dem Token, Import-Stand und Toots gespeichert werden
+ * @param {string} username
+ * @param {string} domain Domain des Handles, kann von der Domain der Weboberfläche abweichen
+ * @returns {string} username@domain
+ */
+const accountKeyFor = (username, domain) => `${username}@${domain}`;
 
-                const appResponse = await fetch(`${instance}/api/v1/apps`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        client_name: 'Mastodon Toot Importer',
-                        redirect_uris: window.location.origin + window.location.pathname,
-                        scopes: 'read',
-                        website: window.location.origin
-                    })
-                });
+/** Nur-Lesen reicht für den Import, zum Teilen der Karten kommen Medien- und Beitragsrechte dazu */
+const READ_SCOPES = 'read';
+const SHARE_SCOPES = 'read write:media write:statuses';
+/** Mastodon erlaubt höchstens vier Bilder pro Beitrag */
+const MAX_MEDIA_PER_STATUS = 4;
 
-                if (!appResponse.ok) throw new Error('App-Registrierung fehlgeschlagen');
+/**
+ * Prüft, ob alle benötigten Scopes gewährt wurden. "write" umfasst alle "write:*"-Scopes.
+ * @param {string} granted
+ * @param {string} required
+ * @returns {boolean}
+ */
+const hasScopes = (granted, required) => {
+    const scopes = (granted || '').split(/\s+/);
+    return required.split(' ').every(scope => scopes.includes(scope) || scopes.includes(scope.split(':')[0]));
+};
 
-                const appData = await appResponse.json();
-                clientId.value = appData.client_id;
-                clientSecret.value = appData.client_secret;
+/**
+ * @returns {string} Adresse, zu der der Server nach dem Login zurückleitet
+ */
+const redirectUri = () => window.location.origin + window.location.pathname;
 
-                await saveToDb('config', {
-                    key: 'credentials',
-                    instanceUrl: instanceUrl.value,
-                    clientId: clientId.value,
-                    clientSecret: clientSecret.value
-                });
+/**
+ * Abweichungen einer Server-Software von Mastodon.
+ * @typedef {Object} ServerProfile
+ * @property {string} shareScopes Scopes für Import und Teilen. Manche Server kennen nur "read" und "write".
+ * @property {number} pageLimit Höchstzahl Toots pro Seite
+ * @property {string} mediaEndpoint
+ */
 
-                const authUrl = `${instance}/oauth/authorize?client_id=${clientId.value}&redirect_uri=${encodeURIComponent(window.location.origin + window.location.pathname)}&response_type=code&scope=read`;
-                window.location.href = authUrl;
+/** @type {Object<string, ServerProfile>} */
+const SERVER_PROFILES = {
+    mastodon: { shareScopes: SHARE_SCOPES, pageLimit: 40, mediaEndpoint: '/api/v2/media' },
+    gotosocial: { shareScopes: 'read write', pageLimit: 40, mediaEndpoint: '/api/v2/media' },
+    akkoma: { shareScopes: SHARE_SCOPES, pageLimit: 40, mediaEndpoint: '/api/v1/media' },
+    misskey: { shareScopes: 'read write', pageLimit: 20, mediaEndpoint: '/api/v1/media' },
+    friendica: { shareScopes: 'read write', pageLimit: 40, mediaEndpoint: '/api/v1/media' },
+    unknown: { shareScopes: SHARE_SCOPES, pageLimit: 40, mediaEndpoint: '/api/v2/media' }
+};
 
-            } catch (err) {
-                error.value = 'Fehler bei der Verbindung: ' + err.message;
-                isLoading.value = false;
-            }
-        };
+/** software.name aus nodeinfo → Eintrag in SERVER_PROFILES */
+const SERVER_SOFTWARE = {
+    mastodon: 'mastodon',
+    hometown: 'mastodon',
+    gotosocial: 'gotosocial',
+    akkoma: 'akkoma',
+    pleroma: 'akkoma',
+    misskey: 'misskey',
+    sharkey: 'misskey',
+    firefish: 'misskey',
+    calckey: 'misskey',
+    foundkey: 'misskey',
+    iceshrimp: 'misskey',
+    cherrypick: 'misskey',
+    catodon: 'misskey',
+    friendica: 'friendica'
+};
 
-        const checkAuthFromUrl = async () => {
-            const urlParams = new URLSearchParams(window.location.search);
-            const code = urlParams.get('code');
+/**
+ * @typedef {Object} ServerInfo
+ * @property {string} type Schlüssel in SERVER_PROFILES
+ * @property {string} name software.name laut nodeinfo
+ * @property {string} version
+ */
 
-            if (code) {
-                isLoading.value = true;
+/** Zeit in ms, nach der die Erkennung einer Instanz aufgibt und mit Standardwerten weitermacht */
+const DISCOVERY_TIMEOUT = 5000;
 
-                try {
-                    const config = await getFromDb('config', 'credentials');
-                    if (!config) throw new Error('Keine gespeicherten Credentials gefunden');
+/**
+ * Erkennt die Server-Software über nodeinfo. Ohne nodeinfo (oder ohne CORS) wird eine
+ * Mastodon-kompatible API angenommen.
+ * @param {string} instance
+ * @returns {Promise<ServerInfo>}
+ */
+const detectServer = async (instance) => {
+    try {
+        const signal = AbortSignal.timeout(DISCOVERY_TIMEOUT);
+        const wellKnown = await (await fetch(`${instance}/.well-known/nodeinfo`, { signal })).json();
+        const link = (wellKnown.links || [])
+            .filter(entry => /\/schema\/2\.[01]$/.test(entry.rel))
+            .sort((a, b) => b.rel.localeCompare(a.rel))[0];
+        const nodeinfo = await (await fetch(link.href, { signal })).json();
+        const name = nodeinfo.software.name.toLowerCase();
+        return { type: SERVER_SOFTWARE[name] || 'unknown', name, version: nodeinfo.software.version || '' };
+    } catch (err) {
+        return { type: 'unknown', name: '', version: '' };
+    }
+};
 
-                    instanceUrl.value = config.instanceUrl;
-                    clientId.value = config.clientId;
-                    clientSecret.value = config.clientSecret;
+/**
+ * Domain der Handles auf einer Instanz, z.B. "example.com" bei Weboberfläche auf "social.example.com".
+ * @param {string} instance
+ * @returns {Promise<string>}
+ */
+const fetchAccountDomain = async (instance) => {
+    try {
+        const signal = AbortSignal.timeout(DISCOVERY_TIMEOUT);
+        const v2 = await fetch(`${instance}/api/v2/instance`, { signal });
+        if (v2.ok) {
+            const data = await v2.json();
+            if (data.account_domain || data.domain) return data.account_domain || data.domain;
+        }
+        const v1 = await (await fetch(`${instance}/api/v1/instance`, { signal })).json();
+        if (v1.account_domain) return v1.account_domain;
+        // Mastodon liefert hier nur die Domain, andere Server die vollständige URL
+        if (v1.uri) return v1.uri.replace(/^https?:\/\//, '').replace(/\/$/, '');
+    } catch (err) {
+        // Ohne Instanz-API bleibt es bei der Domain der Weboberfläche
+    }
+    return hostOf(instance);
+};
 
-                    const tokenResponse = await fetch(`${instanceUrl.value}/oauth/token`, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({
-                            client_id: clientId.value,
-                            client_secret: clientSecret.value,
-                            redirect_uri: window.location.origin + window.location.pathname,
-                            grant_type: 'authorization_code',
-                            code: code,
-                            scope: 'read'
-                        })
-                    });
+/** Sichtbarkeiten anderer Server und ihre Entsprechung bei Mastodon */
+const VISIBILITY_ALIASES = {
+    local: 'unlisted',
+    home: 'unlisted',
+    list: 'private',
+    mutuals_only: 'private',
+    followers: 'private',
+    specified: 'direct'
+};
+
+/**
+ * Zeitpunkt als ISO-String in UTC mit Millisekunden. Nur so sortieren Zeitpunkte im Index accountCreatedAt
+ * als Text richtig, Archive lassen z.B. die Millisekunden weg und manche Server senden einen Offset.
+ * @param {string} value
+ * @returns {string} Ungültige Werte bleiben unverändert
+ */
+const normalizeDate = (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? value : date.toISOString();
+};
 
-                    if (!tokenResponse.ok) throw new Error('Token-Abruf fehlgeschlagen');
+/**
+ * Gleicht Toots anderer Server an das Mastodon-Format an, z.B. eigene Sichtbarkeiten und fehlende Zähler.
+ * @param {MastodonToot} toot
+ * @returns {MastodonToot}
+ */
+const normalizeToot = (toot) => ({
+    ...toot,
+    created_at: normalizeDate(toot.created_at),
+    visibility: VISIBILITY_ALIASES[toot.visibility] || toot.visibility || 'public',
+    media_attachments: toot.media_attachments || [],
+    favourites_count: toot.favourites_count || 0,
+    reblogs_count: toot.reblogs_count || 0,
+    replies_count: toot.replies_count || 0
+});
 
-                    const tokenData = await tokenResponse.json();
-                    accessToken.value = tokenData.access_token;
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} Base64url ohne Padding
+ */
+const base64Url = (bytes) => btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 
-                    const userResponse = await fetch(`${instanceUrl.value}/api/v1/accounts/verify_credentials`, {
-                        headers: { 'Authorization': `Bearer ${accessToken.value}` }
-                    });
+/**
+ * Zufallswert für state und PKCE code_verifier
+ * @returns {string}
+ */
+const randomToken = () => base64Url(crypto.getRandomValues(new Uint8Array(32)));
 
-                    if (!userResponse.ok) throw new Error('User-Abruf fehlgeschlagen');
+/**
+ * PKCE code_challenge zur Methode S256
+ * @param {string} verifier
+ * @returns {Promise<string>}
+ */
+const pkceChallenge = async (verifier) => base64Url(new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier))));
 
-                    const userData = await userResponse.json();
-                    username.value = userData.username;
-                    userId.value = userData.id;
-                    isAuthenticated.value = true;
+/**
+ * Feste Farbschemata. background null: Verlauf der jeweiligen Karte
+ * @type {Object<string, {background: [string, string]|null, text: string}>}
+ */
+const CARD_THEMES = {
+    classic: { background: null, text: '#ffffff' },
+    light: { background: ['#ffffff', '#e8eaf6'], text: '#1a1a2e' },
+    dark: { background: ['#1a1a2e', '#2d2d44'], text: '#f5f5f5' },
+    contrast: { background: ['#000000', '#000000'], text: '#ffff00' }
+};
+/** Farben von joinmastodon.org, falls die Instanz kein Manifest liefert */
+const MASTODON_BRAND = ['#6364ff', '#563acc'];
+const CARD_FONTS = ['Arial', 'Georgia', 'Verdana', 'Trebuchet MS', 'Courier New'];
+/** Name, unter dem eine hochgeladene Schrift registriert wird */
+const CUSTOM_FONT_FAMILY = 'WrappedCustomFont';
 
-                    await saveToDb('config', {
-                        key: 'auth',
-                        accessToken: accessToken.value,
-                        username: username.value,
-                        userId: userId.value
-                    });
+/**
+ * @returns {CardTheme}
+ */
+const defaultTheme = () => ({ name: 'classic', colors: ['#667eea', '#764ba2'], text: '#ffffff', font: 'Arial', showProfile: false });
 
-                    window.history.replaceState({}, document.title, window.location.pathname);
+/**
+ * Wählt Schwarz oder Weiß, je nachdem was auf dem Verlauf besser lesbar ist.
+ * @param {string[]} colors #rrggbb
+ * @returns {string}
+ */
+const readableTextColor = (colors) => {
+    const luminance = colors.reduce((sum, color) => {
+        const [r, g, b] = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+        return sum + (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+    }, 0) / colors.length;
+    return luminance > 0.6 ? '#1a1a2e' : '#ffffff';
+};
 
-                    // Prüfe existierende Toots
-                    const existingToots = await getAllFromDb('toots');
-                    existingTootsCount.value = existingToots.length;
+/**
+ * @param {string} name Anzeigename, z.B. "Sam :blobcat:"
+ * @returns {string} ohne Custom-Emoji-Kürzel, die auf der Karte nicht dargestellt werden können
+ */
+const plainDisplayName = (name) => (name || '').replace(/:\w+:/g, '').replace(/\s+/g, ' ').trim();
 
-                } catch (err) {
-                    error.value = 'Authentifizierung fehlgeschlagen: ' + err.message;
-                } finally {
-                    isLoading.value = false;
-                }
-            } else {
-                const auth = await getFromDb('config', 'auth');
-                const creds = await getFromDb('config', 'credentials');
+/** Alle Kartentypen in der Standardreihenfolge */
+const ALL_CARDS = ['total', 'social', 'mentions', 'circle', 'topfavs', 'topboosts', 'topreplies', 'hashtags', 'activity', 'heatmap', 'calendar', 'longest', 'words', 'timeofday', 'month', 'timeline', 'content', 'compare', 'shifts', 'followers', 'fans', 'engagement', 'reactions'];
+
+/**
+ * Gespeicherte Reihenfolge, ergänzt um Kartentypen, die später hinzugekommen sind.
+ * @param {string[]} [order]
+ * @returns {string[]}
+ */
+const mergeCardOrder = (order = []) => [
+    ...order.filter(type => ALL_CARDS.includes(type)),
+    ...ALL_CARDS.filter(type => !order.includes(type))
+];
+
+/**
+ * Karten ohne aussagekräftige Daten werden automatisch ausgeblendet, z.B. "Top Hashtags" ohne Hashtags.
+ * @param {string} type
+ * @param {WrappedStats} stats
+ * @returns {boolean}
+ */
+const isCardEmpty = (type, stats) => {
+    switch (type) {
+        case 'social':
+            return stats.totalMentions + stats.totalFavorites + stats.totalReblogs + stats.totalLinks + stats.privateToots === 0;
+        case 'mentions':
+            return stats.topMentions.length === 0;
+        case 'circle':
+            return stats.innerCircle.length === 0;
+        case 'hashtags':
+            return stats.topHashtags.length === 0;
+        case 'topfavs':
+            return stats.topFavourited.length === 0;
+        case 'topboosts':
+            return stats.topReblogged.length === 0;
+        case 'topreplies':
+            return stats.topReplied.length === 0;
+        case 'words':
+            return stats.totalWords === 0;
+        case 'timeline':
+            return stats.timeline.every(entry => entry.originals + entry.replies + entry.boosts === 0);
+        case 'compare':
+            return !stats.comparison || stats.totalToots + stats.comparison.stats.totalToots === 0;
+        case 'shifts':
+            return !stats.comparison || stats.totalToots === 0 || stats.comparison.stats.totalToots === 0;
+        case 'followers':
+            return !stats.engagement || stats.engagement.newFollowers === 0;
+        case 'fans':
+            return !stats.engagement || stats.engagement.topFans.length === 0;
+        case 'engagement':
+            return !stats.engagement || stats.engagement.total === 0;
+        case 'reactions':
+            return !stats.engagement || stats.engagement.firstReaction.count === 0;
+        default:
+            return stats.totalToots === 0;
+    }
+};
+
+/**
+ * Entfernt die Ranglisten anderer Konten (innerer Kreis und Top-Fans). Ohne Zustimmung werden sie
+ * weder angezeigt noch in Auswertungen oder Sicherungen gespeichert.
+ * @param {WrappedStats} stats
+ * @returns {WrappedStats}
+ */
+const withoutAccountRankings = (stats) => ({
+    ...stats,
+    innerCircle: [],
+    engagement: stats.engagement && { ...stats.engagement, topFans: [] }
+});
+
+/** Anzahl Einträge, die beim Archiv-Import und beim Einspielen einer Sicherung in einer Transaktion gespeichert werden */
+const ARCHIVE_BATCH_SIZE = 500;
+const AS_PUBLIC = ['https://www.w3.org/ns/activitystreams#Public', 'as:Public', 'Public'];
+
+/**
+ * Liest einzelne Dateien aus einem ZIP-Archiv, ohne das ganze Archiv in den Speicher zu laden.
+ * Unterstützt unkomprimierte und Deflate-komprimierte Einträge sowie ZIP64 (Archive mit vielen Medien).
+ * @param {Blob} file
+ * @param {string[]} names Dateinamen (ohne Ordner) der gewünschten Einträge
+ * @returns {Promise<Object<string, string>>} Inhalt der gefundenen Einträge als Text
+ */
+const readZipEntries = async (file, names) => {
+    const tailSize = Math.min(file.size, 65557);
+    const tail = new DataView(await file.slice(file.size - tailSize).arrayBuffer());
+    let eocd = -1;
+    for (let i = tailSize - 22; i >= 0; i--) {
+        if (tail.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new TranslatableError('archive.invalidZip');
+
+    let entryCount = tail.getUint16(eocd + 10, true);
+    let cdSize = tail.getUint32(eocd + 12, true);
+    let cdOffset = tail.getUint32(eocd + 16, true);
+
+    // ZIP64: der Locator liegt direkt vor dem End-of-Central-Directory-Eintrag
+    if (eocd >= 20 && tail.getUint32(eocd - 20, true) === 0x07064b50) {
+        const recordOffset = Number(tail.getBigUint64(eocd - 12, true));
+        const record = new DataView(await file.slice(recordOffset, recordOffset + 56).arrayBuffer());
+        entryCount = Number(record.getBigUint64(32, true));
+        cdSize = Number(record.getBigUint64(40, true));
+        cdOffset = Number(record.getBigUint64(48, true));
+    }
+
+    const cd = new DataView(await file.slice(cdOffset, cdOffset + cdSize).arrayBuffer());
+    const decoder = new TextDecoder();
+    const result = {};
+    let pos = 0;
 
-                if (auth && creds) {
-                    accessToken.value = auth.accessToken;
-                    username.value = auth.username;
-                    userId.value = auth.userId;
-                    instanceUrl.value = creds.instanceUrl;
-                    clientId.value = creds.clientId;
-                    clientSecret.value = creds.clientSecret;
-                    isAuthenticated.value = true;
+    for (let i = 0; i < entryCount && pos + 46 <= cd.byteLength; i++) {
+        if (cd.getUint32(pos, true) !== 0x02014b50) break;
 
-                    // Prüfe existierende Toots
-                    const existingToots = await getAllFromDb('toots');
-                    existingTootsCount.value = existingToots.length;
+        const method = cd.getUint16(pos + 10, true);
+        let compressedSize = cd.getUint32(pos + 20, true);
+        const uncompressedSize = cd.getUint32(pos + 24, true);
+        const nameLength = cd.getUint16(pos + 28, true);
+        const extraLength = cd.getUint16(pos + 30, true);
+        const commentLength = cd.getUint16(pos + 32, true);
+        let localOffset = cd.getUint32(pos + 42, true);
+        const name = decoder.decode(new Uint8Array(cd.buffer, pos + 46, nameLength));
+
+        // Das ZIP64-Extra-Feld enthält die Werte, die im Header auf 0xFFFFFFFF stehen
+        let extra = pos + 46 + nameLength;
+        const extraEnd = extra + extraLength;
+        while (extra + 4 <= extraEnd) {
+            const id = cd.getUint16(extra, true);
+            const size = cd.getUint16(extra + 2, true);
+            if (id === 0x0001) {
+                let field = extra + 4;
+                if (uncompressedSize === 0xffffffff) field += 8;
+                if (compressedSize === 0xffffffff) {
+                    compressedSize = Number(cd.getBigUint64(field, true));
+                    field += 8;
                 }
+                if (localOffset === 0xffffffff) localOffset = Number(cd.getBigUint64(field, true));
             }
-        };
+            extra += 4 + size;
+        }
+        pos = extraEnd + commentLength;
 
-        // Import Functions
-        const startImport = async () => {
-            isImporting.value = true;
-            error.value = null;
-            importProgress.value = 0;
-            const startTime = Date.now();
+        const baseName = name.split('/').pop();
+        if (!names.includes(baseName) || baseName in result) continue;
 
-            try {
-                const oneYearAgo = new Date();
-                oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
+        const header = new DataView(await file.slice(localOffset, localOffset + 30).arrayBuffer());
+        const dataStart = localOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        const data = file.slice(dataStart, dataStart + compressedSize);
 
-                let allToots = [];
-                let maxId = null;
-                let hasMore = true;
-                let page = 0;
+        if (method === 0) {
+            result[baseName] = await data.text();
+        } else if (method === 8) {
+            result[baseName] = await new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).text();
+        } else {
+            throw new TranslatableError('archive.unsupportedCompression', { name });
+        }
+    }
 
-                statusText.value = 'Lade Toots...';
+    return result;
+};
 
-                while (hasMore) {
-                    page++;
-                    let url = `${instanceUrl.value}/api/v1/accounts/${userId.value}/statuses?limit=40`;
-                    if (maxId) url += `&max_id=${maxId}`;
+/** @type {Uint32Array|null} */
+let crcTable = null;
 
-                    const response = await fetch(url, {
-                        headers: { 'Authorization': `Bearer ${accessToken.value}` }
-                    });
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number} CRC-32 wie im ZIP-Format
+ */
+const crc32 = (bytes) => {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
 
-                    if (!response.ok) throw new Error('Fehler beim Abrufen der Toots');
+/**
+ * Erstellt ein ZIP-Archiv ohne Komprimierung (PNGs sind bereits komprimiert).
+ * @param {Array<{name: string, data: Uint8Array}>} files
+ * @returns {Blob}
+ */
+const createZip = (files) => {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    let centralSize = 0;
 
-                    const tootsPage = await response.json();
+    files.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
 
-                    if (tootsPage.length === 0) {
-                        hasMore = false;
-                        break;
-                    }
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        // Bit 11: Dateiname in UTF-8
+        local.setUint16(6, 0x0800, true);
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        parts.push(local, nameBytes, data);
 
-                    const filteredToots = tootsPage.filter(toot => {
-                        const tootDate = new Date(toot.created_at);
-                        return tootDate >= oneYearAgo;
-                    });
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(entry, nameBytes);
 
-                    allToots.push(...filteredToots);
+        offset += 30 + nameBytes.length + data.length;
+        centralSize += 46 + nameBytes.length;
+    });
 
-                    const oldestToot = tootsPage[tootsPage.length - 1];
-                    const oldestDate = new Date(oldestToot.created_at);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
 
-                    if (oldestDate < oneYearAgo) {
-                        hasMore = false;
-                    } else {
-                        maxId = oldestToot.id;
-                    }
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+};
 
-                    statusText.value = `Seite ${page}: ${allToots.length} Toots gefunden...`;
-                    importProgress.value = Math.min(95, page * 10);
+/**
+ * Text als PDF-String in UTF-16BE, damit auch Umlaute und Emojis im Titel ankommen
+ * @param {string} text
+ * @returns {string}
+ */
+const pdfText = (text) => {
+    const hex = [...text].flatMap(char => {
+        const code = char.codePointAt(0);
+        if (code <= 0xffff) return [code];
+        const offset = code - 0x10000;
+        return [0xd800 + (offset >> 10), 0xdc00 + (offset & 0x3ff)];
+    }).map(unit => unit.toString(16).padStart(4, '0')).join('');
+    return `<feff${hex}>`;
+};
 
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                }
+/**
+ * Erstellt ein PDF mit einem JPEG-Bild pro Seite. Die Seitengröße folgt dem Bild (2 Pixel = 1 Punkt).
+ * @param {Array<{jpeg: Uint8Array, width: number, height: number}>} pages
+ * @param {string} title
+ * @returns {Blob}
+ */
+const createPdf = (pages, title) => {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
 
-                statusText.value = 'Speichere Toots in Datenbank...';
-                for (const toot of allToots) {
-                    await saveToDb('toots', toot);
-                }
+    const push = (part) => {
+        const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const object = (id, ...parts) => {
+        offsets[id] = length;
+        push(`${id} 0 obj\n`);
+        parts.forEach(push);
+        push('\nendobj\n');
+    };
 
-                totalToots.value = allToots.length;
-                importTime.value = Date.now() - startTime;
-                importProgress.value = 100;
-                importComplete.value = true;
-                existingTootsCount.value = allToots.length;
-                statusText.value = 'Import abgeschlossen!';
-                await generateWrapped();
+    push('%PDF-1.4\n');
+    // Objekte 1–3: Katalog, Seitenbaum, Metadaten; danach je Seite: Seite, Inhalt, Bild
+    const pageId = (index) => 4 + index * 3;
+    object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    object(2, `<< /Type /Pages /Kids [${pages.map((_, i) => `${pageId(i)} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+    object(3, `<< /Title ${pdfText(title)} /Producer (Mastodon Wraps) >>`);
 
-            } catch (err) {
-                error.value = 'Import-Fehler: ' + err.message;
-            } finally {
-                isImporting.value = false;
-            }
-        };
+    pages.forEach((page, i) => {
+        const id = pageId(i);
+        const width = page.width / 2;
+        const height = page.height / 2;
+        const content = `q ${width} 0 0 ${height} 0 0 cm /Card Do Q`;
+        object(id, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /XObject << /Card ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>`);
+        object(id + 1, `<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+        object(id + 2, `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`, page.jpeg, '\nendstream');
+    });
 
-        // View Functions
-        const viewToots = async () => {
-            toots.value = await getAllFromDb('toots');
-            toots.value = toots.value.filter(toot => !toot.reblog).sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-            showToots.value = !showToots.value;
-        };
+    const xref = length;
+    const count = pageId(pages.length);
+    push(`xref\n0 ${count}\n0000000000 65535 f \n`);
+    push(offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join(''));
+    push(`trailer\n<< /Size ${count} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
 
-        /**
-         * @param {string} dateString
-         * @returns {string}
-         */
+    return new Blob(chunks, { type: 'application/pdf' });
+};
+
+/**
+ * Leitet die Mastodon-Sichtbarkeit aus den ActivityPub-Adressaten ab.
+ * @param {{to?: string|string[], cc?: string|string[]}} object
+ * @param {string} followersUri
+ * @returns {'public'|'unlisted'|'private'|'direct'}
+ */
+const visibilityFromAddressing = (object, followersUri) => {
+    const to = [].concat(object.to || []);
+    const cc = [].concat(object.cc || []);
+    if (to.some(uri => AS_PUBLIC.includes(uri))) return 'public';
+    if (cc.some(uri => AS_PUBLIC.includes(uri))) return 'unlisted';
+    if (to.includes(followersUri)) return 'private';
+    return 'direct';
+};
+
+/**
+ * Wandelt die Create- und Announce-Aktivitäten aus outbox.json in das Format der Mastodon-API um.
+ * Favoriten- und Reblog-Zähler sind im Export nicht enthalten und werden mit 0 belegt.
+ * @param {{orderedItems?: Object[]}} outbox
+ * @param {string} followersUri
+ * @returns {MastodonToot[]}
+ */
+const tootsFromOutbox = (outbox, followersUri) => {
+    return (outbox.orderedItems || []).flatMap(activity => {
+        if (activity.type === 'Announce') {
+            const target = typeof activity.object === 'string' ? activity.object : activity.object?.id;
+            return [{
+                id: lastPathSegment(activity.id),
+                uri: activity.id,
+                created_at: normalizeDate(activity.published),
+                content: '',
+                media_attachments: [],
+                in_reply_to_id: null,
+                visibility: visibilityFromAddressing(activity, followersUri),
+                reblog: { uri: target, url: target },
+                tags: [],
+                mentions: []
+            }];
+        }
+        if (activity.type !== 'Create' || typeof activity.object !== 'object') return [];
+
+        const note = activity.object;
+        const tags = [].concat(note.tag || []);
+        const mentions = tags.filter(tag => tag.type === 'Mention').map(tag => ({ acct: tag.name.replace(/^@/, ''), url: tag.href }));
+        // Bei Mastodon liegt der beantwortete Toot unter der Actor-URI des Verfassers, z.B. …/users/bob/statuses/1
+        const replyTo = note.inReplyTo && mentions.find(mention => mention.url && note.inReplyTo.startsWith(`${mention.url}/`));
+        const pollOptions = note.type === 'Question' ? [].concat(note.oneOf || note.anyOf || []) : null;
+
+        return [{
+            id: lastPathSegment(note.id),
+            uri: note.id,
+            url: note.url || note.id,
+            created_at: normalizeDate(note.published || activity.published),
+            edited_at: note.updated || null,
+            content: note.content || '',
+            spoiler_text: note.summary || '',
+            sensitive: !!note.sensitive,
+            language: note.contentMap ? Object.keys(note.contentMap)[0] : null,
+            media_attachments: [].concat(note.attachment || []).map(attachment => ({
+                type: (attachment.mediaType || '').split('/')[0] || 'unknown',
+                url: attachment.url,
+                description: attachment.name || null
+            })),
+            in_reply_to_id: lastPathSegment(note.inReplyTo),
+            in_reply_to_account_id: replyTo ? replyTo.url : null,
+            visibility: visibilityFromAddressing(note, followersUri),
+            reblog: null,
+            tags: tags.filter(tag => tag.type === 'Hashtag').map(tag => ({ name: tag.name.replace(/^#/, ''), url: tag.href })),
+            mentions,
+            poll: pollOptions && {
+                options: pollOptions.map(option => ({ title: option.name, votes_count: option.replies?.totalItems ?? null })),
+                votes_count: pollOptions.reduce((sum, option) => sum + (option.replies?.totalItems || 0), 0)
+            },
+            favourites_count: 0,
+            reblogs_count: 0,
+            replies_count: 0
+        }];
+    });
+};
+
+/**
+ * @returns {string} Zeitzone des Browsers, z.B. "Europe/Berlin"
+ */
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * @param {string} dateKey YYYY-MM-DD
+ * @param {string} locale Sprach-Tag für Intl, z.B. "de-DE"
+ * @returns {string} z.B. "19.10.2025" oder "10/19/2025"
+ */
+const formatDateKey = (dateKey, locale) => new Date(`${dateKey}T00:00:00Z`).toLocaleDateString(locale, { timeZone: 'UTC' });
+
+/**
+ * @param {string} monthKey YYYY-MM
+ * @param {string} locale
+ * @param {'long'|'short'} [style]
+ * @param {boolean} [withYear]
+ * @returns {string} z.B. "Oktober 2025"
+ */
+const formatMonthKey = (monthKey, locale, style = 'long', withYear = false) => {
+    return new Date(`${monthKey}-01T00:00:00Z`).toLocaleDateString(locale, {
+        month: style,
+        year: withYear ? 'numeric' : undefined,
+        timeZone: 'UTC'
+    });
+};
+
+/**
+ * @param {number} weekday 0 = Montag
+ * @param {string} locale
+ * @returns {string} z.B. "Montag"
+ */
+const formatWeekday = (weekday, locale) => {
+    // Der 1. Januar 2024 war ein Montag
+    return new Date(Date.UTC(2024, 0, 1 + weekday)).toLocaleDateString(locale, { weekday: 'long', timeZone: 'UTC' });
+};
+
+/**
+ * Fasst die stärksten Felder einer Wochentag×Stunde-Heatmap zu Zeitfenstern zusammen.
+ * Benachbarte Stunden eines Tages mit mindestens 60 % des Maximums bilden ein Fenster.
+ * @param {number[][]} heatmap 7 Zeilen (Mo–So) × 24 Stunden
+ * @param {number} [limit]
+ * @returns {Array<{weekday: number, from: number, to: number, count: number}>} to ist exklusive
+ */
+const heatmapPeaks = (heatmap, limit = 3) => {
+    const max = Math.max(0, ...heatmap.flat());
+    if (max === 0) return [];
+
+    const threshold = max * 0.6;
+    const windows = [];
+    heatmap.forEach((hours, weekday) => {
+        let current = null;
+        hours.forEach((count, hour) => {
+            if (count >= threshold) {
+                if (!current) current = { weekday, from: hour, to: hour + 1, count: 0 };
+                current.to = hour + 1;
+                current.count += count;
+            } else if (current) {
+                windows.push(current);
+                current = null;
+            }
+        });
+        if (current) windows.push(current);
+    });
+
+    return windows.sort((a, b) => b.count - a.count).slice(0, limit);
+};
+
+/**
+ * Erlaubte Elemente in angezeigten Toots. Andere Elemente werden durch ihren Inhalt ersetzt.
+ */
+const ALLOWED_TAGS = ['a', 'p', 'br', 'span', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'code', 'pre', 'blockquote', 'ul', 'ol', 'li'];
+
+/**
+ * Elemente, die samt Inhalt entfernt werden
+ */
+const DROPPED_TAGS = ['script', 'style', 'iframe', 'frame', 'object', 'embed', 'template', 'svg', 'math', 'noscript', 'textarea', 'select', 'button', 'form', 'input', 'link', 'meta', 'base', 'head', 'title'];
+
+/** Klassen, die Mastodon für Links, Erwähnungen und gekürzte URLs verwendet */
+const ALLOWED_CLASSES = ['invisible', 'ellipsis', 'mention', 'hashtag', 'h-card', 'u-url'];
+
+/**
+ * @param {string|null|undefined} value
+ * @returns {string|null} absolute http(s)- oder mailto-URL, sonst `null`
+ */
+const safeUrl = (value) => {
+    try {
+        const url = new URL(value);
+        return ['http:', 'https:', 'mailto:'].includes(url.protocol) ? url.href : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Bereinigt den HTML-Inhalt eines Toots vor der Anzeige mit v-html. Der Inhalt kommt von einem
+ * beliebigen Server, daher bleiben nur erlaubte Elemente, Klassen und sichere Links erhalten.
+ * Alle Links öffnen in einem neuen Tab mit rel="noopener nofollow".
+ * @param {string} html
+ * @returns {string}
+ */
+const sanitizeTootHtml = (html) => {
+    const source = new DOMParser().parseFromString(html || '', 'text/html');
+    const target = new DOMParser().parseFromString('', 'text/html');
+
+    const copyChildren = (node, parent) => {
+        node.childNodes.forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                parent.append(child.textContent);
+                return;
+            }
+            if (child.nodeType !== Node.ELEMENT_NODE) return;
+
+            const tag = child.tagName.toLowerCase();
+            if (DROPPED_TAGS.includes(tag)) return;
+            if (!ALLOWED_TAGS.includes(tag)) {
+                copyChildren(child, parent);
+                return;
+            }
+
+            const element = target.createElement(tag);
+            const classes = [...child.classList].filter(name => ALLOWED_CLASSES.includes(name));
+            if (classes.length > 0) element.className = classes.join(' ');
+            if (tag === 'a') {
+                const href = safeUrl(child.getAttribute('href'));
+                if (href) {
+                    element.setAttribute('href', href);
+                    element.setAttribute('target', '_blank');
+                    element.setAttribute('rel', 'noopener nofollow');
+                }
+            }
+            copyChildren(child, element);
+            parent.append(element);
+        });
+    };
+
+    copyChildren(source.body, target.body);
+    return target.body.innerHTML;
+};
+
+/**
+ * Medien eines Toots als Vorschaubilder statt eingebettetem HTML. Nur absolute http(s)-URLs werden
+ * übernommen, Medien aus Archiven (relative Pfade) erscheinen daher nur mit ihrem Typ.
+ * @param {MastodonToot} toot
+ * @returns {Array<{type: string, url: string|null, preview: string|null, description: string}>}
+ */
+const mediaPreviews = (toot) => {
+    const httpUrl = (value) => {
+        const url = safeUrl(value);
+        return url && !url.startsWith('mailto:') ? url : null;
+    };
+    return (toot.media_attachments || []).map(media => ({
+        type: media.type,
+        url: httpUrl(media.url),
+        preview: media.type === 'audio' ? null : httpUrl(media.preview_url || (media.type === 'image' ? media.url : null)),
+        description: media.description || ''
+    }));
+};
+
+/**
+ * Ein Toot im Toot-Browser mit vorberechneten Feldern für Suche, Filter und Sortierung.
+ * @typedef {Object} TootBrowserEntry
+ * @property {MastodonToot} toot
+ * @property {MastodonToot} source Bei Re-Toots der geteilte Toot, sonst der Toot selbst
+ * @property {string} searchText Text und Inhaltswarnung in Kleinschreibung
+ * @property {string} html Bereinigter HTML-Inhalt für die Anzeige
+ * @property {ReturnType<typeof mediaPreviews>} media
+ * @property {string[]} hashtags
+ * @property {string[]} mentions
+ * @property {'original'|'reply'|'boost'} kind
+ * @property {string} dateKey YYYY-MM-DD in der gewählten Zeitzone
+ * @property {number} length
+ * @property {number} engagement Summe aus Favoriten, Boosts und Antworten
+ */
+
+/**
+ * Filter des Toot-Browsers. Leere Werte filtern nicht.
+ * @typedef {Object} TootFilter
+ * @property {string} query Alle Wörter müssen vorkommen
+ * @property {string} from YYYY-MM-DD, inklusive
+ * @property {string} to YYYY-MM-DD, inklusive
+ * @property {string} hashtag
+ * @property {string} mention user@domain
+ * @property {boolean} media Nur Toots mit Medien
+ * @property {''|'original'|'reply'|'boost'} kind
+ * @property {''|'public'|'unlisted'|'private'|'direct'} visibility
+ * @property {'newest'|'oldest'|'engagement'|'favourites'|'reblogs'|'replies'|'length'} sort
+ */
+
+/**
+ * @returns {TootFilter}
+ */
+const emptyTootFilter = () => ({ query: '', from: '', to: '', hashtag: '', mention: '', media: false, kind: '', visibility: '', sort: 'newest' });
+
+/**
+ * @param {MastodonToot} toot
+ * @param {string} localDomain
+ * @param {string} timeZone
+ * @returns {TootBrowserEntry}
+ */
+const toBrowserEntry = (toot, localDomain, timeZone) => {
+    const source = toot.reblog || toot;
+    const { text, hashtags, mentions } = parseTootContent(source, localDomain);
+    return {
+        toot,
+        source,
+        searchText: `${source.spoiler_text || ''}\n${text}`.toLowerCase(),
+        html: sanitizeTootHtml(source.content),
+        media: mediaPreviews(source),
+        hashtags,
+        mentions: mentions.map(acct => acct.toLowerCase()),
+        kind: toot.reblog ? 'boost' : toot.in_reply_to_id ? 'reply' : 'original',
+        dateKey: zonedParts(new Date(toot.created_at), timeZone).dateKey,
+        length: [...text].length,
+        engagement: (toot.favourites_count || 0) + (toot.reblogs_count || 0) + (toot.replies_count || 0)
+    };
+};
+
+/**
+ * @param {TootBrowserEntry} entry
+ * @param {TootFilter} filter
+ * @returns {boolean}
+ */
+const matchesTootFilter = (entry, filter) => {
+    const { toot } = entry;
+    if (filter.from && entry.dateKey < filter.from) return false;
+    if (filter.to && entry.dateKey > filter.to) return false;
+    if (filter.kind && entry.kind !== filter.kind) return false;
+    if (filter.visibility && toot.visibility !== filter.visibility) return false;
+    if (filter.media && !(entry.source.media_attachments?.length > 0)) return false;
+    if (filter.hashtag && !entry.hashtags.includes(filter.hashtag.replace(/^#/, '').toLowerCase())) return false;
+    if (filter.mention && !entry.mentions.includes(filter.mention.replace(/^@/, '').toLowerCase())) return false;
+    return filter.query.toLowerCase().split(/\s+/).every(word => entry.searchText.includes(word));
+};
+
+/** Vergleichsfunktionen für die Sortierung im Toot-Browser */
+const TOOT_SORTS = {
+    newest: (a, b) => new Date(b.toot.created_at) - new Date(a.toot.created_at),
+    oldest: (a, b) => new Date(a.toot.created_at) - new Date(b.toot.created_at),
+    engagement: (a, b) => b.engagement - a.engagement,
+    favourites: (a, b) => (b.toot.favourites_count || 0) - (a.toot.favourites_count || 0),
+    reblogs: (a, b) => (b.toot.reblogs_count || 0) - (a.toot.reblogs_count || 0),
+    replies: (a, b) => (b.toot.replies_count || 0) - (a.toot.replies_count || 0),
+    length: (a, b) => b.length - a.length
+};
+
+/**
+ * Erster und letzter Tag eines Zeitraums als Filter für den Toot-Browser.
+ * @param {WrappedPeriod} period
+ * @returns {{from: string, to: string}}
+ */
+const periodDates = (period) => {
+    switch (period.type) {
+        case 'year':
+            return { from: `${period.year}-01-01`, to: `${period.year}-12-31` };
+        case 'custom':
+            return { from: period.from, to: period.to };
+        case 'all':
+            return { from: '', to: '' };
+        default:
+            return { from: localDateKey(getPeriodRange(period).start), to: '' };
+    }
+};
+
+/** Benachrichtigungen, die beim optionalen Import geladen werden */
+const NOTIFICATION_TYPES = ['favourite', 'reblog', 'mention', 'follow', 'poll'];
+
+/**
+ * @param {Object} notification Benachrichtigung aus /api/v1/notifications
+ * @param {string} accountKey
+ * @returns {StoredNotification}
+ */
+const slimNotification = (notification, accountKey) => ({
+    accountKey,
+    id: notification.id,
+    type: notification.type,
+    created_at: notification.created_at,
+    account: notification.account
+        ? { id: notification.account.id, acct: notification.account.acct, avatar_static: notification.account.avatar_static || null }
+        : null,
+    status: notification.status ? { id: notification.status.id, created_at: notification.status.created_at } : null
+});
+
+/**
+ * Belegter Speicher, geladen beim Öffnen der Speicherübersicht.
+ * @typedef {Object} StorageInfo
+ * @property {number} toots Toots des aktiven Kontos
+ * @property {number} beforePeriod davon vor dem gewählten Zeitraum
+ * @property {Object<string, number>} visibility Toots je Sichtbarkeit
+ * @property {number} notifications
+ * @property {number} snapshots Gespeicherte Auswertungen
+ * @property {number|null} usage Vom Browser geschätzter Speicherbedarf der Seite in Bytes
+ * @property {number|null} quota
+ */
+
+/**
+ * Sicherung der ganzen Datenbank als JSON-Datei.
+ * @typedef {Object} DatabaseBackup
+ * @property {string} format {@link BACKUP_FORMAT}
+ * @property {number} version Schema-Version der Datenbank beim Export
+ * @property {string} exportedAt
+ * @property {{config: Object[], toots: MastodonToot[], notifications: StoredNotification[]}} stores
+ */
+
+const BACKUP_FORMAT = 'mastodon-wraps-backup';
+/** Einträge im config-Store, die nicht gesichert werden: laufende Logins und die eigene Schrift als Binärdaten */
+const BACKUP_EXCLUDED_KEYS = ['pendingAuth', 'customFont'];
+/** Gesicherte Stores mit einer Prüfung, ob ein Eintrag den Schlüssel des Stores enthält */
+const BACKUP_STORES = {
+    config: (entry) => typeof entry.key === 'string',
+    toots: (entry) => typeof entry.accountKey === 'string' && typeof entry.id === 'string',
+    notifications: (entry) => typeof entry.accountKey === 'string' && typeof entry.id === 'string'
+};
+
+createApp({
+    setup() {
+        // Reactive State
+        const instanceUrl = ref('');
+        const clientId = ref(null);
+        const clientSecret = ref(null);
+        const accessToken = ref(null);
+        const username = ref('');
+        const userId = ref(null);
+        const isAuthenticated = ref(false);
+        const accounts = ref([]);
+        const activeAccount = ref(null);
+        const addingAccount = ref(false);
+        /** Konten aus einem Archiv-Import haben kein Token und können nicht über die API importieren */
+        const canImport = computed(() => !!accessToken.value);
+        const grantedScope = ref('');
+        /** Beim Login zusätzlich Schreibrechte zum Teilen anfragen */
+        const allowPosting = ref(false);
+        /** Token abgelaufen oder widerrufen, der Nutzer muss sich erneut anmelden */
+        const sessionExpired = ref(false);
+        /** @type {import('vue').Ref<ServerInfo>} */
+        const server = ref({ type: 'unknown', name: '', version: '' });
+        const serverProfile = computed(() => SERVER_PROFILES[server.value.type] || SERVER_PROFILES.unknown);
+        /** Domain der Handles, z.B. für die Unterscheidung lokaler und föderierter Erwähnungen */
+        const accountDomain = ref('');
+        const canShare = computed(() => canImport.value && hasScopes(grantedScope.value, serverProfile.value.shareScopes));
+        const isLoading = ref(false);
+        const isImporting = ref(false);
+        const importComplete = ref(false);
+        const importProgress = ref(0);
+        const statusText = ref('');
+        const error = ref(null);
+        const totalToots = ref(0);
+        const importTime = ref(0);
+        const db = ref(null);
+        /** @type {import('vue').Ref<TootBrowserEntry[]>} */
+        const toots = ref([]);
+        const showToots = ref(false);
+        const tootFilter = ref(emptyTootFilter());
+        const tootScrollTop = ref(0);
+        /** IDs der Toots, deren Inhaltswarnung aufgeklappt ist */
+        const openWarnings = ref([]);
+        const wrappedData = ref(null);
+        const isGenerating = ref(false);
+        /** Fortschritt der Auswertung in Prozent, null bis zur ersten Meldung des Workers */
+        const generatingProgress = ref(null);
+        const existingTootsCount = ref(0);
+        /** Gespeicherte Benachrichtigungen des aktiven Kontos */
+        const notificationCount = ref(0);
+        /** @type {import('vue').Ref<StorageInfo|null>} wird erst beim Öffnen der Speicherübersicht geladen */
+        const storageInfo = ref(null);
+        const storageStatus = ref('');
+        /** Reihenfolge aller Kartentypen und vom Nutzer ausgeblendete Karten, gespeichert unter "cards" */
+        const cardOrder = ref([...ALL_CARDS]);
+        const hiddenCards = ref([]);
+        /** Karten, die andere Konten nennen, erscheinen nur nach Zustimmung, gespeichert unter "innerCircle" */
+        const innerCircle = ref({ enabled: false, graph: false });
+        /**
+         * @param {string} type
+         * @returns {boolean} true, wenn die Karte eine Zustimmung braucht, die (noch) fehlt
+         */
+        const isOptedOut = (type) => ['circle', 'fans'].includes(type) && !innerCircle.value.enabled;
+        /** Karten, die angezeigt, heruntergeladen, exportiert und geteilt werden */
+        const cardsList = computed(() => cardOrder.value.filter(type => {
+            if (hiddenCards.value.includes(type) || isOptedOut(type)) return false;
+            return !wrappedData.value || !isCardEmpty(type, wrappedData.value);
+        }));
+        const cardsValue = ref({});
+        /** Kleine Vorschaubilder für die Kartenauswahl */
+        const cardPreviews = ref({});
+        const draggedCard = ref(null);
+        const importSummary = ref(null);
+        const pendingImport = ref(null);
+        const period = ref(defaultPeriod());
+        /** Vergleichszeitraum: '' = kein Vergleich, 'previous' = vorheriger Zeitraum oder ein Kalenderjahr */
+        const compareWith = ref('');
+        const timeZone = ref(browserTimeZone());
+        const locale = ref(detectLocale());
+        /** Sprach-Tag für Datums- und Zahlenformate, z.B. "en-GB" */
+        const intlLocale = computed(() => intlLocaleFor(locale.value));
+        const languages = SUPPORTED_LOCALES.map(code => ({ code, name: LANGUAGE_NAMES[code] }));
+        /** Auswählbare Zeitzonen; supportedValuesOf kennt weder UTC noch Aliase wie Etc/UTC, die der Browser selbst melden kann */
+        const timeZones = [...new Set([
+            ...(typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []),
+            browserTimeZone(),
+            'UTC'
+        ])].sort();
+        const showShare = ref(false);
+        const shareCards = ref([]);
+        const shareTemplate = ref('');
+        const shareVisibility = ref('public');
+        /** @type {import('vue').Ref<SharePost[]|null>} */
+        const sharePreview = ref(null);
+        const isSharing = ref(false);
+        const isExporting = ref(false);
+        /** @type {import('vue').Ref<CardTheme>} */
+        const theme = ref(defaultTheme());
+        const brandColors = ref(MASTODON_BRAND);
+        const customFontName = ref(null);
+        const themeError = ref(null);
+        const profile = ref({ displayName: '', avatar: null });
+        /** @type {ImageBitmap|null} über fetch geladen, damit das Canvas exportierbar bleibt */
+        let avatarImage = null;
+        /** @type {Object<string, ImageBitmap>} Profilbilder im inneren Kreis nach acct */
+        let circleAvatars = {};
+        /** Aufgelöste Farben des gewählten Designs */
+        const cardTheme = computed(() => {
+            switch (theme.value.name) {
+                case 'brand':
+                    return { background: brandColors.value, text: readableTextColor(brandColors.value) };
+                case 'custom':
+                    return { background: theme.value.colors, text: theme.value.text };
+                default:
+                    return CARD_THEMES[theme.value.name] || CARD_THEMES.classic;
+            }
+        });
+        const shareStatus = ref('');
+        const shareError = ref(null);
+        /** URL des ersten veröffentlichten Beitrags */
+        const shareResult = ref(null);
+        /** Kalenderjahre, die im Zeitraum-Auswahlfeld angeboten werden (Mastodon gibt es seit 2016) */
+        const periodYears = Array.from({ length: new Date().getFullYear() - 2015 }, (_, i) => new Date().getFullYear() - i);
+
+
+        // Translation Functions
+        /**
+         * @param {string} key
+         * @param {Object<string, string|number>} [params]
+         * @returns {string}
+         */
+        const t = (key, params) => translate(locale.value, key, params);
+
+        /**
+         * @param {number} value
+         * @returns {string}
+         */
+        const formatNumber = (value) => new Intl.NumberFormat(intlLocale.value).format(value);
+
+        /**
+         * @param {Error} err
+         * @returns {string} Meldung in der gewählten Sprache
+         */
+        const errorMessage = (err) => err instanceof TranslatableError ? t(err.key, err.params) : err.message;
+
+        const applyLocale = () => {
+            document.documentElement.lang = locale.value;
+            document.title = t('app.title');
+        };
+
+        const saveLocale = async () => {
+            applyLocale();
+            await saveToDb('config', { key: 'locale', locale: locale.value });
+            if (wrappedData.value) await generateWrapped();
+        };
+
+        // Database Functions
+        /** Indizes des toots-Stores. Zeitpunkt und Sichtbarkeit jeweils mit dem Konto, damit Abfragen auf ein Konto begrenzt bleiben */
+        const TOOT_INDEXES = {
+            accountKey: 'accountKey',
+            accountCreatedAt: ['accountKey', 'created_at'],
+            accountVisibility: ['accountKey', 'visibility']
+        };
+
+        /**
+         * Legt fehlende Indizes des toots-Stores an, bestehende Einträge werden dabei indiziert.
+         * @param {IDBObjectStore} store
+         */
+        const ensureTootIndexes = (store) => {
+            Object.entries(TOOT_INDEXES).forEach(([name, keyPath]) => {
+                if (!store.indexNames.contains(name)) store.createIndex(name, keyPath);
+            });
+        };
+
+        /**
+         * Legt den toots-Store an. Toots werden pro Konto gespeichert, da IDs verschiedener Instanzen kollidieren können.
+         * @param {IDBDatabase} database
+         * @returns {IDBObjectStore}
+         */
+        const createTootsStore = (database) => {
+            const store = database.createObjectStore('toots', { keyPath: ['accountKey', 'id'] });
+            ensureTootIndexes(store);
+            return store;
+        };
+
+        /**
+         * Legt den notifications-Store für den optionalen Import erhaltener Reaktionen an.
+         * @param {IDBDatabase} database
+         */
+        const createNotificationsStore = (database) => {
+            const store = database.createObjectStore('notifications', { keyPath: ['accountKey', 'id'] });
+            store.createIndex('accountKey', 'accountKey');
+        };
+
+        /**
+         * Migriert die Daten aus Version 1 (ein Konto, Toots nur nach ID) in den kontobezogenen Aufbau.
+         * @param {IDBDatabase} database
+         * @param {IDBTransaction} transaction
+         */
+        const migrateToAccounts = (database, transaction) => {
+            if (!database.objectStoreNames.contains('toots')) {
+                createTootsStore(database);
+                return;
+            }
+
+            const config = transaction.objectStore('config');
+            const authRequest = config.get('auth');
+            const credentialsRequest = config.get('credentials');
+            const cursorRequest = config.get('importCursor');
+            const tootsRequest = transaction.objectStore('toots').getAll();
+
+            // Anfragen einer Transaktion werden der Reihe nach beantwortet, auth und credentials liegen also schon vor
+            tootsRequest.onsuccess = () => {
+                const auth = authRequest.result;
+                const credentials = credentialsRequest.result;
+                database.deleteObjectStore('toots');
+                const store = createTootsStore(database);
+                if (!auth || !credentials) return;
+
+                const accountKey = accountKeyFor(auth.username, hostOf(credentials.instanceUrl));
+                tootsRequest.result.forEach(toot => store.put({ ...toot, accountKey, created_at: normalizeDate(toot.created_at) }));
+
+                config.put({ ...credentials, key: `credentials:${hostOf(credentials.instanceUrl)}` });
+                config.put({ ...auth, key: `auth:${accountKey}`, accountKey, instanceUrl: credentials.instanceUrl });
+                config.put({ key: 'activeAccount', accountKey });
+                if (cursorRequest.result) config.put({ ...cursorRequest.result, key: `importCursor:${accountKey}` });
+                ['auth', 'credentials', 'importCursor'].forEach(key => config.delete(key));
+            };
+        };
+
+        /**
+         * Schema-Migrationen: Eintrag i hebt die Datenbank von Version i auf i + 1. Neue Versionen werden
+         * nur angehängt, die aktuelle Version ist die Länge der Liste.
+         * @type {Array<(database: IDBDatabase, transaction: IDBTransaction) => void>}
+         */
+        const MIGRATIONS = [
+            // 1: Einstellungen. Den toots-Store legt bei neuen Datenbanken erst Version 2 kontobezogen an
+            (database) => {
+                database.createObjectStore('config', { keyPath: 'key' });
+            },
+            // 2: Mehrere Konten
+            migrateToAccounts,
+            // 3: Benachrichtigungen
+            createNotificationsStore,
+            // 4: Indizes für Zeitraum und Sichtbarkeit. Nach einer Migration aus Version 1 legt
+            // migrateToAccounts den Store erst später neu an, createTootsStore ergänzt sie dann
+            (database, transaction) => ensureTootIndexes(transaction.objectStore('toots')),
+            // 5: created_at einheitlich, siehe normalizeDate. Toots aus Version 1 normalisiert migrateToAccounts beim Umziehen
+            (database, transaction) => {
+                const store = transaction.objectStore('toots');
+                if (!Array.isArray(store.keyPath)) return;
+                store.openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) return;
+                    const createdAt = normalizeDate(cursor.value.created_at);
+                    if (createdAt !== cursor.value.created_at) cursor.update({ ...cursor.value, created_at: createdAt });
+                    cursor.continue();
+                };
+            }
+        ];
+
+        /**
+         * @returns {Promise<IDBDatabase>}
+         */
+        const initDB = () => {
+            return new Promise((resolve, reject) => {
+                const request = indexedDB.open('MastodonDB', MIGRATIONS.length);
+
+                request.onerror = () => reject(request.error);
+                request.onsuccess = () => {
+                    db.value = request.result;
+                    // Ein anderer Tab mit neuerer Version wartet sonst, bis dieser geschlossen wird
+                    db.value.onversionchange = () => db.value.close();
+                    resolve(request.result);
+                };
+
+                request.onupgradeneeded = (event) => {
+                    const database = event.target.result;
+                    MIGRATIONS.slice(event.oldVersion).forEach(migrate => migrate(database, event.target.transaction));
+                };
+            });
+        };
+
+        /**
+         * @param {string} storeName
+         * @param {any} data
+         * @returns {Promise<void>}
+         */
+        const saveToDb = (storeName, data) => {
+            return new Promise((resolve, reject) => {
+                const transaction = db.value.transaction([storeName], 'readwrite');
+                const store = transaction.objectStore(storeName);
+                const request = store.put(data);
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+        };
+
+        /**
+         * @param {string} storeName
+         * @param {string} key
+         * @returns {Promise<any>}
+         */
+        const getFromDb = (storeName, key) => {
+            return new Promise((resolve, reject) => {
+                const transaction = db.value.transaction([storeName], 'readonly');
+                const store = transaction.objectStore(storeName);
+                const request = store.get(key);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        };
+
+        /**
+         * @param {string} storeName
+         * @param {string} [indexName]
+         * @param {IDBValidKey|IDBKeyRange} [query]
+         * @returns {Promise<any[]>}
+         */
+        const getAllFromDb = (storeName, indexName, query) => {
+            return new Promise((resolve, reject) => {
+                const transaction = db.value.transaction([storeName], 'readonly');
+                const store = transaction.objectStore(storeName);
+                const request = indexName ? store.index(indexName).getAll(query) : store.getAll();
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        };
+
+        /**
+         * Speichert mehrere Einträge in einer gemeinsamen Transaktion.
+         * @param {string} storeName
+         * @param {any[]} items
+         * @returns {Promise<void>}
+         */
+        const saveManyToDb = (storeName, items) => {
+            return new Promise((resolve, reject) => {
+                const transaction = db.value.transaction([storeName], 'readwrite');
+                const store = transaction.objectStore(storeName);
+                items.forEach(item => store.put(item));
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        };
+
+        /**
+         * @param {string} storeName
+         * @param {IDBValidKey|IDBKeyRange} key
+         * @returns {Promise<void>}
+         */
+        const deleteFromDb = (storeName, key) => {
+            return new Promise((resolve, reject) => {
+                const transaction = db.value.transaction([storeName], 'readwrite');
+                const store = transaction.objectStore(storeName);
+                const request = store.delete(key);
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+        };
+
+        /**
+         * Zählt Einträge, ohne sie zu laden.
+         * @param {string} storeName
+         * @param {string|null} indexName
+         * @param {IDBValidKey|IDBKeyRange} [query]
+         * @returns {Promise<number>}
+         */
+        const countInDb = (storeName, indexName, query) => {
+            return new Promise((resolve, reject) => {
+                const transaction = db.value.transaction([storeName], 'readonly');
+                const store = transaction.objectStore(storeName);
+                const request = (indexName ? store.index(indexName) : store).count(query);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        };
+
+        /**
+         * @param {string} storeName
+         * @returns {Promise<IDBValidKey[]>} Primärschlüssel aller Einträge
+         */
+        const getAllKeysFromDb = (storeName) => {
+            return new Promise((resolve, reject) => {
+                const transaction = db.value.transaction([storeName], 'readonly');
+                const request = transaction.objectStore(storeName).getAllKeys();
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        };
+
+        /**
+         * Löscht alle Einträge eines Index-Bereichs in einer Transaktion.
+         * @param {string} storeName
+         * @param {string} indexName
+         * @param {IDBKeyRange} range
+         * @returns {Promise<number>} Anzahl gelöschter Einträge
+         */
+        const deleteByIndex = (storeName, indexName, range) => {
+            return new Promise((resolve, reject) => {
+                const transaction = db.value.transaction([storeName], 'readwrite');
+                const request = transaction.objectStore(storeName).index(indexName).openKeyCursor(range);
+                let deleted = 0;
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    transaction.objectStore(storeName).delete(cursor.primaryKey);
+                    deleted++;
+                    cursor.continue();
+                };
+                transaction.oncomplete = () => resolve(deleted);
+                transaction.onerror = () => reject(transaction.error);
+            });
+        };
+
+        /**
+         * Zieht Toots, Benachrichtigungen, Import-Stand und gespeicherte Auswertungen eines Kontos in einer
+         * Transaktion auf einen neuen Schlüssel um und entfernt den alten Login.
+         * @param {string} fromKey
+         * @param {string} toKey
+         * @returns {Promise<void>}
+         */
+        const moveAccountData = (fromKey, toKey) => {
+            return new Promise((resolve, reject) => {
+                const transaction = db.value.transaction(['toots', 'notifications', 'config'], 'readwrite');
+                ['toots', 'notifications'].forEach(storeName => {
+                    const store = transaction.objectStore(storeName);
+                    const request = store.index('accountKey').openCursor(fromKey);
+                    request.onsuccess = () => {
+                        const cursor = request.result;
+                        if (!cursor) return;
+                        // accountKey ist Teil des Primärschlüssels, der Eintrag wird also neu angelegt
+                        store.put({ ...cursor.value, accountKey: toKey });
+                        cursor.delete();
+                        cursor.continue();
+                    };
+                });
+
+                const config = transaction.objectStore('config');
+                const snapshotPrefix = `stats:${fromKey}:`;
+                const snapshots = config.openCursor(IDBKeyRange.bound(snapshotPrefix, `${snapshotPrefix}\uffff`));
+                snapshots.onsuccess = () => {
+                    const cursor = snapshots.result;
+                    if (!cursor) return;
+                    config.put({ ...cursor.value, key: `stats:${toKey}:${cursor.value.key.slice(snapshotPrefix.length)}` });
+                    cursor.delete();
+                    cursor.continue();
+                };
+                const importCursor = config.get(`importCursor:${fromKey}`);
+                importCursor.onsuccess = () => {
+                    if (!importCursor.result) return;
+                    config.put({ ...importCursor.result, key: `importCursor:${toKey}` });
+                    config.delete(`importCursor:${fromKey}`);
+                };
+                config.delete(`auth:${fromKey}`);
+
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        };
+
+        /**
+         * Alle Toots des aktiven Kontos
+         * @returns {Promise<MastodonToot[]>}
+         */
+        const getAccountToots = () => getAllFromDb('toots', 'accountKey', activeAccount.value);
+
+        // Auth Functions
+        /**
+         * Liefert die App-Zugangsdaten für eine Instanz. Eine bereits registrierte App wird ohne Anfrage an den
+         * Server wiederverwendet, solange Redirect-URI und Scopes passen. Lehnt der Server sie ab, fällt das
+         * beim Login auf: /oauth/token antwortet mit 401, oder /oauth/authorize leitet gar nicht erst zurück.
+         * @param {string} instance
+         * @param {ServerInfo} serverInfo
+         * @returns {Promise<{clientId: string, clientSecret: string}>}
+         */
+        const registerClient = async (instance, serverInfo) => {
+            const key = `credentials:${hostOf(instance)}`;
+            const scopes = (SERVER_PROFILES[serverInfo.type] || SERVER_PROFILES.unknown).shareScopes;
+            const stored = await getFromDb('config', key);
+            // Ein noch offener Login bei dieser Instanz ist nie zurückgekommen, z.B. weil der Server die App nicht mehr kennt
+            const pendingAuth = await getFromDb('config', 'pendingAuth');
+            const unconfirmed = pendingAuth && hostOf(pendingAuth.instanceUrl) === hostOf(instance);
+            if (stored && !unconfirmed && stored.redirectUri === redirectUri() && hasScopes(stored.scopes, scopes)) return stored;
+
+            const appResponse = await fetch(`${instance}/api/v1/apps`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    client_name: 'Mastodon Toot Importer',
+                    redirect_uris: redirectUri(),
+                    // Die App darf teilen, ob ein Konto das erlaubt, entscheidet der angefragte Scope beim Login
+                    scopes,
+                    website: window.location.origin
+                })
+            });
+
+            if (!appResponse.ok) throw new TranslatableError('errors.appRegistration');
+
+            const appData = await appResponse.json();
+            const credentials = {
+                key,
+                instanceUrl: instance,
+                clientId: appData.client_id,
+                clientSecret: appData.client_secret,
+                redirectUri: redirectUri(),
+                scopes,
+                server: serverInfo
+            };
+            await saveToDb('config', credentials);
+            return credentials;
+        };
+
+        const startAuth = async () => {
+            error.value = null;
+            isLoading.value = true;
+
+            try {
+                let instance = instanceUrl.value.trim();
+                if (!instance.startsWith('http')) {
+                    instance = 'https://' + instance;
+                }
+                instanceUrl.value = instance;
+
+                const serverInfo = await detectServer(instance);
+                const credentials = await registerClient(instance, serverInfo);
+                clientId.value = credentials.clientId;
+                clientSecret.value = credentials.clientSecret;
+
+                const scope = allowPosting.value ? (SERVER_PROFILES[serverInfo.type] || SERVER_PROFILES.unknown).shareScopes : READ_SCOPES;
+                const state = randomToken();
+                const codeVerifier = randomToken();
+                await saveToDb('config', { key: 'pendingAuth', instanceUrl: instanceUrl.value, scope, state, codeVerifier, server: serverInfo });
+
+                const query = new URLSearchParams({
+                    client_id: clientId.value,
+                    redirect_uri: redirectUri(),
+                    response_type: 'code',
+                    scope,
+                    state,
+                    code_challenge: await pkceChallenge(codeVerifier),
+                    code_challenge_method: 'S256',
+                    // Damit beim Hinzufügen eines weiteren Kontos nicht die bestehende Sitzung übernommen wird
+                    force_login: 'true'
+                });
+                window.location.href = `${instance}/oauth/authorize?${query}`;
+
+            } catch (err) {
+                error.value = t('errors.connection', { message: errorMessage(err) });
+                isLoading.value = false;
+            }
+        };
+
+        const loadAccounts = async () => {
+            const config = await getAllFromDb('config');
+            accounts.value = config
+                .filter(entry => entry.key.startsWith('auth:'))
+                .map(({ accountKey, instanceUrl, username }) => ({ key: accountKey, instanceUrl, username }));
+        };
+
+        /**
+         * Lädt Token und Zugangsdaten eines gespeicherten Kontos und setzt die Ansicht zurück.
+         * @param {string} accountKey
+         * @returns {Promise<void>}
+         */
+        const activateAccount = async (accountKey) => {
+            const auth = await getFromDb('config', `auth:${accountKey}`);
+            if (!auth) return;
+            const credentials = await getFromDb('config', `credentials:${hostOf(auth.instanceUrl)}`);
+
+            activeAccount.value = accountKey;
+            accessToken.value = auth.accessToken;
+            username.value = auth.username;
+            userId.value = auth.userId;
+            grantedScope.value = auth.scope || READ_SCOPES;
+            sessionExpired.value = false;
+            profile.value = { displayName: auth.displayName || '', avatar: auth.avatar || null };
+            avatarImage = null;
+            circleAvatars = {};
+            instanceUrl.value = auth.instanceUrl;
+            server.value = auth.server || { type: 'unknown', name: '', version: '' };
+            accountDomain.value = auth.domain || hostOf(auth.instanceUrl);
+            clientId.value = credentials?.clientId ?? null;
+            clientSecret.value = credentials?.clientSecret ?? null;
+            isAuthenticated.value = true;
+            addingAccount.value = false;
+            await saveToDb('config', { key: 'activeAccount', accountKey });
+
+            error.value = null;
+            importComplete.value = false;
+            importSummary.value = null;
+            toots.value = [];
+            showToots.value = false;
+            wrappedData.value = null;
+            cardsValue.value = {};
+            showShare.value = false;
+
+            // Prüfe existierende Toots
+            existingTootsCount.value = await countInDb('toots', 'accountKey', accountKey);
+            notificationCount.value = await countInDb('notifications', 'accountKey', accountKey);
+            if (storageInfo.value) await loadStorageInfo();
+            pendingImport.value = await getFromDb('config', `importCursor:${accountKey}`);
+
+            if (theme.value.name === 'brand') await loadBrandColors();
+            if (theme.value.showProfile) await loadProfile();
+
+            // Konten von vor der Server-Erkennung einmalig nachtragen
+            if (!auth.server && auth.accessToken) {
+                server.value = await detectServer(auth.instanceUrl);
+                await saveToDb('config', { ...auth, server: server.value });
+            }
+        };
+
+        /**
+         * @param {string} accountKey
+         * @returns {Promise<void>}
+         */
+        const switchAccount = async (accountKey) => {
+            if (accountKey === activeAccount.value || isImporting.value) return;
+            await activateAccount(accountKey);
+        };
+
+        const addAccount = () => {
+            addingAccount.value = true;
+            instanceUrl.value = '';
+            error.value = null;
+        };
+
+        const cancelAddAccount = async () => {
+            addingAccount.value = false;
+            await activateAccount(activeAccount.value);
+        };
+
+        const clearSession = () => {
+            instanceUrl.value = '';
+            clientId.value = null;
+            clientSecret.value = null;
+            accessToken.value = null;
+            username.value = '';
+            userId.value = null;
+            grantedScope.value = '';
+            sessionExpired.value = false;
+            server.value = { type: 'unknown', name: '', version: '' };
+            accountDomain.value = '';
+            activeAccount.value = null;
+            isAuthenticated.value = false;
+            importComplete.value = false;
+            totalToots.value = 0;
+            toots.value = [];
+            showToots.value = false;
+            wrappedData.value = null;
+            existingTootsCount.value = 0;
+            notificationCount.value = 0;
+            storageInfo.value = null;
+            storageStatus.value = '';
+            pendingImport.value = null;
+        };
+
+        /**
+         * Meldet das aktive Konto ab und löscht dessen Token und Toots. Andere Konten bleiben erhalten.
+         */
+        const logoutAccount = async () => {
+            const accountKey = activeAccount.value;
+            if (!confirm(t('account.confirmLogout', { account: accountKey }))) return;
+
+            const auth = await getFromDb('config', `auth:${accountKey}`);
+            const revoked = await revokeToken(auth);
+
+            await deleteFromDb('toots', IDBKeyRange.bound([accountKey], [accountKey, []]));
+            await deleteFromDb('notifications', IDBKeyRange.bound([accountKey], [accountKey, []]));
+            await deleteFromDb('config', `auth:${accountKey}`);
+            await deleteFromDb('config', `importCursor:${accountKey}`);
+            await deleteFromDb('config', IDBKeyRange.bound(`stats:${accountKey}:`, `stats:${accountKey}:\uffff`));
+            await loadAccounts();
+
+            if (accounts.value.length > 0) {
+                await activateAccount(accounts.value[0].key);
+            } else {
+                await deleteFromDb('config', 'activeAccount');
+                clearSession();
+            }
+            error.value = revoked ? null : t('errors.revoke', { instance: hostOf(auth.instanceUrl) });
+        };
+
+        const checkAuthFromUrl = async () => {
+            const urlParams = new URLSearchParams(window.location.search);
+            const code = urlParams.get('code');
+            const authError = urlParams.get('error');
+
+            if (code || authError) {
+                isLoading.value = true;
+
+                try {
+                    // Code und state gelten nur für genau diesen Login
+                    const pendingAuth = await getFromDb('config', 'pendingAuth');
+                    await deleteFromDb('config', 'pendingAuth');
+                    window.history.replaceState({}, document.title, window.location.pathname);
+
+                    if (authError) throw new TranslatableError('errors.authDenied', { message: urlParams.get('error_description') || authError });
+                    if (!pendingAuth?.state || urlParams.get('state') !== pendingAuth.state) throw new TranslatableError('errors.state');
+
+                    const config = await getFromDb('config', `credentials:${hostOf(pendingAuth.instanceUrl)}`);
+                    if (!config) throw new TranslatableError('errors.noCredentials');
+
+                    instanceUrl.value = config.instanceUrl;
+                    clientId.value = config.clientId;
+                    clientSecret.value = config.clientSecret;
+                    const scope = pendingAuth.scope || READ_SCOPES;
+
+                    const tokenResponse = await fetch(`${instanceUrl.value}/oauth/token`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            client_id: clientId.value,
+                            client_secret: clientSecret.value,
+                            redirect_uri: redirectUri(),
+                            grant_type: 'authorization_code',
+                            code: code,
+                            code_verifier: pendingAuth.codeVerifier,
+                            scope
+                        })
+                    });
+
+                    if (tokenResponse.status === 401) {
+                        // Die App wurde auf dem Server gelöscht, beim nächsten Login wird sie neu registriert
+                        await deleteFromDb('config', config.key);
+                        throw new TranslatableError('errors.clientRejected');
+                    }
+                    if (!tokenResponse.ok) throw new TranslatableError('errors.token');
+
+                    const tokenData = await tokenResponse.json();
+
+                    const userResponse = await fetch(`${instanceUrl.value}/api/v1/accounts/verify_credentials`, {
+                        headers: { 'Authorization': `Bearer ${tokenData.access_token}` }
+                    });
+
+                    if (!userResponse.ok) throw new TranslatableError('errors.user');
+
+                    const userData = await userResponse.json();
+                    const domain = await fetchAccountDomain(instanceUrl.value);
+                    const accountKey = accountKeyFor(userData.username, domain);
+                    // Ältere Versionen speicherten Konten unter der Domain der Weboberfläche, sonst entstünde ein leeres zweites Konto
+                    const legacyKey = accountKeyFor(userData.username, hostOf(instanceUrl.value));
+                    if (legacyKey !== accountKey && await getFromDb('config', `auth:${legacyKey}`)) {
+                        await moveAccountData(legacyKey, accountKey);
+                    }
+
+                    await saveToDb('config', {
+                        key: `auth:${accountKey}`,
+                        accountKey,
+                        instanceUrl: instanceUrl.value,
+                        accessToken: tokenData.access_token,
+                        username: userData.username,
+                        userId: userData.id,
+                        scope: tokenData.scope || scope,
+                        server: pendingAuth.server || config.server || await detectServer(instanceUrl.value),
+                        domain,
+                        displayName: plainDisplayName(userData.display_name),
+                        avatar: userData.avatar_static || null
+                    });
+
+                    await loadAccounts();
+                    await activateAccount(accountKey);
+
+                } catch (err) {
+                    // Bestehende Konten bleiben nutzbar, z.B. wenn ein erneuter Login abgebrochen wurde
+                    const message = t('errors.auth', { message: errorMessage(err) });
+                    await restoreActiveAccount();
+                    error.value = message;
+                } finally {
+                    isLoading.value = false;
+                }
+            } else {
+                await restoreActiveAccount();
+            }
+        };
+
+        const restoreActiveAccount = async () => {
+            await loadAccounts();
+            const active = await getFromDb('config', 'activeAccount');
+            const account = accounts.value.find(a => a.key === active?.accountKey) || accounts.value[0];
+
+            if (account) {
+                await activateAccount(account.key);
+            }
+        };
+
+        /**
+         * Meldet das aktive Konto erneut an, z.B. nachdem das Token abgelaufen ist oder widerrufen wurde.
+         * Die bisher gewährten Rechte werden wieder angefragt.
+         */
+        const reauthenticate = async () => {
+            allowPosting.value = hasScopes(grantedScope.value, serverProfile.value.shareScopes);
+            await startAuth();
+        };
+
+        /**
+         * Wirft bei 401 einen Fehler und fordert zum erneuten Login auf.
+         * @param {Response} response
+         * @returns {Response}
+         */
+        const ensureAuthorized = (response) => {
+            if (response.status === 401) {
+                sessionExpired.value = true;
+                throw new TranslatableError('errors.sessionExpired');
+            }
+            return response;
+        };
+
+        /**
+         * Widerruft das Token eines Kontos auf dem Server. Konten aus einem Datenexport haben keins.
+         * @param {{instanceUrl: string, accessToken?: string}} auth
+         * @returns {Promise<boolean>} false, wenn der Server nicht erreichbar war oder den Widerruf ablehnte
+         */
+        const revokeToken = async (auth) => {
+            if (!auth?.accessToken) return true;
+            const credentials = await getFromDb('config', `credentials:${hostOf(auth.instanceUrl)}`);
+            if (!credentials) return false;
+
+            try {
+                const response = await fetch(`${auth.instanceUrl}/oauth/revoke`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        client_id: credentials.clientId,
+                        client_secret: credentials.clientSecret,
+                        token: auth.accessToken
+                    })
+                });
+                return response.ok;
+            } catch (err) {
+                return false;
+            }
+        };
+
+        // Import Functions
+        /** Anzahl Tage, für die Favoriten-/Reblog-Zähler bereits gespeicherter Toots aktualisiert werden */
+        const REFRESH_DAYS = 30;
+        /** Wartezeit zwischen zwei Seiten, wenn die Instanz keine Rate-Limit-Header sendet */
+        const DEFAULT_PAGE_DELAY = 1000;
+        /** Anzahl Anfragen, die vom Rate-Limit nicht verbraucht werden sollen */
+        const RATE_LIMIT_RESERVE = 5;
+        const MAX_RETRIES = 5;
+        /** Reihenfolge der Import-Phasen, siehe {@link ImportCursor} */
+        const IMPORT_PHASES = ['new', 'refresh', 'backfill', 'done'];
+
+        /** @type {AbortController|null} */
+        let importAbort = null;
+
+        /**
+         * Wartet die angegebene Zeit, bricht aber sofort ab, wenn der Import abgebrochen wird.
+         * @param {number} ms
+         * @param {AbortSignal} [signal]
+         * @returns {Promise<void>}
+         */
+        const sleep = (ms, signal) => {
+            return new Promise((resolve, reject) => {
+                if (signal?.aborted) return reject(new DOMException(t('errors.aborted'), 'AbortError'));
+                const onAbort = () => {
+                    clearTimeout(timer);
+                    reject(new DOMException(t('errors.aborted'), 'AbortError'));
+                };
+                // Sonst sammelt sich bei langen Importen pro Seite ein Listener am selben Signal
+                const timer = setTimeout(() => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve();
+                }, ms);
+                signal?.addEventListener('abort', onAbort, { once: true });
+            });
+        };
+
+        /**
+         * Vergleicht zwei Status-IDs. Mastodon-IDs sind numerische Strings unterschiedlicher Länge,
+         * daher wird zuerst die Länge und dann lexikografisch verglichen.
+         * @param {string} a
+         * @param {string} b
+         * @returns {number}
+         */
+        const compareIds = (a, b) => {
+            if (a.length !== b.length) return a.length - b.length;
+            return a < b ? -1 : a > b ? 1 : 0;
+        };
+
+        /**
+         * @param {MastodonToot} stored
+         * @param {MastodonToot} fetched
+         * @returns {boolean}
+         */
+        const hasChangedCounts = (stored, fetched) => {
+            return stored.favourites_count !== fetched.favourites_count
+                || stored.reblogs_count !== fetched.reblogs_count
+                || stored.replies_count !== fetched.replies_count;
+        };
+
+        /**
+         * Ermittelt anhand der X-RateLimit-Header, wie lange vor der nächsten Anfrage gewartet wird.
+         * Die verbleibenden Anfragen werden gleichmäßig bis zum Reset verteilt.
+         * @param {Response} response
+         * @returns {number} Wartezeit in Millisekunden
+         */
+        const rateLimitDelay = (response) => {
+            const remaining = parseInt(response.headers.get('X-RateLimit-Remaining'), 10);
+            const reset = Date.parse(response.headers.get('X-RateLimit-Reset'));
+            if (isNaN(remaining) || isNaN(reset)) return DEFAULT_PAGE_DELAY;
+
+            const untilReset = Math.max(0, reset - Date.now());
+            if (remaining <= RATE_LIMIT_RESERVE) return untilReset + 1000;
+            return Math.min(DEFAULT_PAGE_DELAY, Math.floor(untilReset / remaining));
+        };
+
+        /**
+         * Wartezeit vor einem erneuten Versuch: Retry-After bzw. Rate-Limit-Reset bei 429,
+         * sonst exponentielles Backoff mit etwas Zufall.
+         * @param {Response|null} response
+         * @param {number} attempt
+         * @returns {number}
+         */
+        const retryDelay = (response, attempt) => {
+            if (response?.status === 429) {
+                const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+                if (!isNaN(retryAfter)) return retryAfter * 1000;
+                const reset = Date.parse(response.headers.get('X-RateLimit-Reset'));
+                if (!isNaN(reset)) return Math.max(1000, reset - Date.now());
+            }
+            return 2 ** attempt * 1000 + Math.floor(Math.random() * 500);
+        };
+
+        /**
+         * fetch mit Wiederholung bei Netzwerkfehlern, HTTP 429 und 5xx.
+         * @param {string} url
+         * @param {RequestInit} options
+         * @returns {Promise<Response>}
+         */
+        const fetchWithRetry = async (url, options) => {
+            for (let attempt = 0; ; attempt++) {
+                let response = null;
+                try {
+                    response = await fetch(url, options);
+                    if (response.status !== 429 && response.status < 500) return response;
+                } catch (err) {
+                    if (err.name === 'AbortError') throw err;
+                }
+                if (attempt >= MAX_RETRIES) {
+                    if (response) return response;
+                    throw new TranslatableError('errors.unreachable');
+                }
+
+                const delay = retryDelay(response, attempt);
+                statusText.value = t('status.retry', {
+                    reason: response ? `HTTP ${response.status}` : t('status.networkError'),
+                    seconds: Math.ceil(delay / 1000),
+                    attempt: attempt + 1,
+                    max: MAX_RETRIES
+                });
+                await sleep(delay, options.signal);
+            }
+        };
+
+        /**
+         * @param {Object<string, string>} params
+         * @param {AbortSignal} signal
+         * @returns {Promise<{toots: MastodonToot[], delay: number}>}
+         */
+        const fetchStatusesPage = async (params, signal) => {
+            const query = new URLSearchParams({ limit: String(serverProfile.value.pageLimit), ...params });
+            const response = await fetchWithRetry(`${instanceUrl.value}/api/v1/accounts/${userId.value}/statuses?${query}`, {
+                headers: { 'Authorization': `Bearer ${accessToken.value}` },
+                signal
+            });
+
+            ensureAuthorized(response);
+            if (!response.ok) throw new TranslatableError('errors.fetchToots');
+
+            return { toots: (await response.json()).map(normalizeToot), delay: rateLimitDelay(response) };
+        };
+
+        const cancelImport = () => {
+            if (importAbort) importAbort.abort();
+        };
+
+        const startImport = async () => {
+            isImporting.value = true;
+            error.value = null;
+            importProgress.value = 0;
+            importSummary.value = null;
+            importAbort = new AbortController();
+            const { signal } = importAbort;
+            const accountKey = activeAccount.value;
+            const cursorKey = `importCursor:${accountKey}`;
+            const startTime = Date.now();
+            let storedToots = new Map();
+
+            try {
+                storedToots = new Map((await getAccountToots()).map(toot => [toot.id, toot]));
+                const { start: periodStart } = getPeriodRange(period.value);
+                const refreshSince = new Date();
+                refreshSince.setDate(refreshSince.getDate() - REFRESH_DAYS);
+
+                const storedIds = [...storedToots.keys()].sort(compareIds);
+                const newestId = storedIds[storedIds.length - 1] || null;
+
+                const importPeriod = importPeriodKey(period.value);
+                const savedCursor = await getFromDb('config', cursorKey);
+                // Ein Stand für einen anderen Zeitraum könnte z.B. vor den älteren Toots für "Alle Toots" enden
+                /** @type {ImportCursor} */
+                const cursor = savedCursor?.period === importPeriod ? savedCursor : {
+                    key: cursorKey,
+                    phase: newestId ? 'new' : 'backfill',
+                    cursorId: newestId,
+                    oldestNewId: null,
+                    summary: { added: 0, updated: 0 },
+                    page: 0,
+                    startedAt: new Date().toISOString(),
+                    period: importPeriod
+                };
+                const summary = cursor.summary;
+
+                /**
+                 * Speichert die geänderten Toots einer Seite sofort und merkt sich die Position.
+                 * @param {MastodonToot[]} tootsPage
+                 * @param {string|null} nextCursorId
+                 */
+                const persistPage = async (tootsPage, nextCursorId) => {
+                    const changed = tootsPage.filter(toot => {
+                        const stored = storedToots.get(toot.id);
+                        if (!stored) summary.added++;
+                        else if (hasChangedCounts(stored, toot)) summary.updated++;
+                        else return false;
+                        return true;
+                    });
+
+                    if (changed.length > 0) await saveManyToDb('toots', changed.map(toot => ({ ...toot, accountKey })));
+                    changed.forEach(toot => storedToots.set(toot.id, toot));
+
+                    cursor.cursorId = nextCursorId;
+                    cursor.page++;
+                    await saveToDb('config', cursor);
+
+                    existingTootsCount.value = storedToots.size;
+                    importProgress.value = Math.min(95, cursor.page * 10);
+                    statusText.value = t('status.page', { page: cursor.page, added: summary.added, updated: summary.updated });
+                };
+
+                /**
+                 * @param {ImportCursor['phase']} phase
+                 * @param {string|null} cursorId
+                 */
+                const enterPhase = async (phase, cursorId) => {
+                    cursor.phase = phase;
+                    cursor.cursorId = cursorId;
+                    await saveToDb('config', cursor);
+                };
+
+                /**
+                 * Blättert mit max_id ab der gespeicherten Position rückwärts, bis ein Toot älter als `until` ist.
+                 * Ohne `until` wird bis zum ältesten Toot geblättert.
+                 * @param {Date|null} until
+                 */
+                const pageBackwards = async (until) => {
+                    while (true) {
+                        const { toots: tootsPage, delay } = await fetchStatusesPage(cursor.cursorId ? { max_id: cursor.cursorId } : {}, signal);
+                        if (tootsPage.length === 0) break;
+
+                        // Nicht jeder Server sortiert die Seite absteigend
+                        const oldestToot = tootsPage.reduce((oldest, toot) => compareIds(toot.id, oldest.id) < 0 ? toot : oldest);
+                        await persistPage(tootsPage.filter(toot => !until || new Date(toot.created_at) >= until), oldestToot.id);
+                        if (until && new Date(oldestToot.created_at) < until) break;
+                        await sleep(delay, signal);
+                    }
+                };
+
+                const phaseIndex = IMPORT_PHASES.indexOf(cursor.phase);
+
+                // 1. Neue Toots seit dem neuesten gespeicherten Toot
+                if (phaseIndex <= IMPORT_PHASES.indexOf('new')) {
+                    statusText.value = t('status.loadingNew');
+                    while (true) {
+                        const { toots: tootsPage, delay } = await fetchStatusesPage({ min_id: cursor.cursorId }, signal);
+                        if (tootsPage.length === 0) break;
+
+                        const pageIds = tootsPage.map(toot => toot.id).sort(compareIds);
+                        if (!cursor.oldestNewId || compareIds(pageIds[0], cursor.oldestNewId) < 0) cursor.oldestNewId = pageIds[0];
+                        await persistPage(tootsPage, pageIds[pageIds.length - 1]);
+                        await sleep(delay, signal);
+                    }
+                    await enterPhase('refresh', cursor.oldestNewId);
+                }
+
+                // 2. Zähler der jüngsten bereits gespeicherten Toots aktualisieren
+                if (phaseIndex <= IMPORT_PHASES.indexOf('refresh')) {
+                    statusText.value = t('status.refreshing');
+                    await pageBackwards(refreshSince);
+
+                    // Aus dem aktuellen Stand, fortgesetzte Importe können auf einen inzwischen geleerten Speicher treffen
+                    const oldestId = [...storedToots.keys()].sort(compareIds)[0];
+                    if (!oldestId) {
+                        await enterPhase('backfill', null);
+                    } else {
+                        const needsBackfill = !periodStart || new Date(storedToots.get(oldestId).created_at) > periodStart;
+                        await enterPhase(needsBackfill ? 'backfill' : 'done', oldestId);
+                    }
+                }
+
+                // 3. Lücke zwischen ältestem gespeicherten Toot und Beginn des Zeitraums auffüllen
+                if (cursor.phase === 'backfill') {
+                    statusText.value = t('status.loading');
+                    await pageBackwards(periodStart);
+                }
+
+                await deleteFromDb('config', cursorKey);
+                pendingImport.value = null;
+
+                totalToots.value = summary.added;
+                importSummary.value = summary;
+                importTime.value = Date.now() - startTime;
+                importProgress.value = 100;
+                importComplete.value = true;
+                statusText.value = t('status.complete');
+                await generateWrapped();
+
+            } catch (err) {
+                pendingImport.value = await getFromDb('config', cursorKey);
+                if (err.name === 'AbortError') {
+                    error.value = t('errors.importCancelled', { count: storedToots.size });
+                } else {
+                    error.value = t('errors.import', { message: errorMessage(err) });
+                }
+            } finally {
+                existingTootsCount.value = storedToots.size;
+                isImporting.value = false;
+                importAbort = null;
+            }
+        };
+
+        /**
+         * @param {Object<string, string>} params
+         * @param {AbortSignal} signal
+         * @returns {Promise<{notifications: Object[], delay: number}>}
+         */
+        const fetchNotificationsPage = async (params, signal) => {
+            const query = new URLSearchParams({ limit: String(serverProfile.value.pageLimit), ...params });
+            NOTIFICATION_TYPES.forEach(type => query.append('types[]', type));
+            const response = await fetchWithRetry(`${instanceUrl.value}/api/v1/notifications?${query}`, {
+                headers: { 'Authorization': `Bearer ${accessToken.value}` },
+                signal
+            });
+
+            ensureAuthorized(response);
+            if (!response.ok) throw new TranslatableError('errors.fetchNotifications');
+
+            return { notifications: await response.json(), delay: rateLimitDelay(response) };
+        };
+
+        /**
+         * Optionaler zweiter Import: Benachrichtigungen über Favoriten, Re-Toots, Erwähnungen, neue Follower
+         * und beendete Umfragen im gewählten Zeitraum. Zuerst neue seit der neuesten gespeicherten, dann
+         * ältere bis zum Beginn des Zeitraums. Abgebrochene Importe setzen beim nächsten Mal dort fort.
+         */
+        const importNotifications = async () => {
+            isImporting.value = true;
+            error.value = null;
+            importProgress.value = 0;
+            importAbort = new AbortController();
+            const { signal } = importAbort;
+            const accountKey = activeAccount.value;
+            const storedIds = new Set();
+            let added = 0;
+            let page = 0;
+
+            try {
+                const stored = (await getAllFromDb('notifications', 'accountKey', accountKey))
+                    .sort((a, b) => compareIds(a.id, b.id));
+                stored.forEach(notification => storedIds.add(notification.id));
+                const { start: periodStart } = getPeriodRange(period.value);
+
+                /**
+                 * @param {Object[]} notifications
+                 */
+                const persistPage = async (notifications) => {
+                    const fresh = notifications.filter(notification => !storedIds.has(notification.id));
+                    if (fresh.length > 0) await saveManyToDb('notifications', fresh.map(notification => slimNotification(notification, accountKey)));
+                    fresh.forEach(notification => storedIds.add(notification.id));
+                    added += fresh.length;
+                    page++;
+                    notificationCount.value = storedIds.size;
+                    importProgress.value = Math.min(95, page * 10);
+                    statusText.value = t('notifications.page', { page, added });
+                };
+
+                // 1. Neue Benachrichtigungen seit der neuesten gespeicherten
+                if (stored.length > 0) {
+                    statusText.value = t('notifications.loadingNew');
+                    let minId = stored[stored.length - 1].id;
+                    while (true) {
+                        const { notifications, delay } = await fetchNotificationsPage({ min_id: minId }, signal);
+                        if (notifications.length === 0) break;
+
+                        await persistPage(notifications);
+                        minId = notifications.map(notification => notification.id).sort(compareIds).pop();
+                        await sleep(delay, signal);
+                    }
+                }
+
+                // 2. Ältere bis zum Beginn des Zeitraums
+                const oldest = stored[0];
+                if (!oldest || !periodStart || new Date(oldest.created_at) >= periodStart) {
+                    statusText.value = t('notifications.loading');
+                    let maxId = oldest?.id || null;
+                    while (true) {
+                        const { notifications, delay } = await fetchNotificationsPage(maxId ? { max_id: maxId } : {}, signal);
+                        if (notifications.length === 0) break;
+
+                        const oldestOnPage = notifications.reduce((result, notification) => compareIds(notification.id, result.id) < 0 ? notification : result);
+                        await persistPage(notifications.filter(notification => !periodStart || new Date(notification.created_at) >= periodStart));
+                        maxId = oldestOnPage.id;
+                        if (periodStart && new Date(oldestOnPage.created_at) < periodStart) break;
+                        await sleep(delay, signal);
+                    }
+                }
+
+                importProgress.value = 100;
+                statusText.value = t('notifications.complete', { count: added });
+                if (wrappedData.value) await generateWrapped();
+
+            } catch (err) {
+                if (err.name === 'AbortError') {
+                    error.value = t('errors.notificationsCancelled', { count: storedIds.size });
+                } else {
+                    error.value = t('errors.notifications', { message: errorMessage(err) });
+                }
+            } finally {
+                notificationCount.value = storedIds.size;
+                isImporting.value = false;
+                importAbort = null;
+            }
+        };
+
+        /**
+         * Importiert Toots aus einem Mastodon-Datenexport ("Archiv anfordern"): die ZIP-Datei
+         * mit outbox.json und actor.json oder direkt eine outbox.json. Dafür ist kein Login nötig.
+         * @param {Event} event
+         */
+        const importArchive = async (event) => {
+            const file = event.target.files?.[0];
+            event.target.value = '';
+            if (!file) return;
+
+            error.value = null;
+            isImporting.value = true;
+            statusText.value = t('archive.reading');
+            const startTime = Date.now();
+
+            try {
+                let outbox;
+                let actor = null;
+                if (file.name.endsWith('.json')) {
+                    outbox = JSON.parse(await file.text());
+                } else {
+                    const entries = await readZipEntries(file, ['outbox.json', 'actor.json']);
+                    if (!entries['outbox.json']) throw new TranslatableError('archive.noOutbox');
+                    outbox = JSON.parse(entries['outbox.json']);
+                    actor = entries['actor.json'] ? JSON.parse(entries['actor.json']) : null;
+                }
+
+                const actorUri = actor?.id || outbox.orderedItems?.[0]?.actor || outbox.id?.replace(/\/outbox$/, '');
+                if (!actorUri) throw new TranslatableError('archive.noAccount');
+                const archiveUsername = actor?.preferredUsername || lastPathSegment(actorUri);
+                const archiveInstanceUrl = new URL(actorUri).origin;
+                const accountKey = accountKeyFor(archiveUsername, hostOf(archiveInstanceUrl));
+
+                statusText.value = t('archive.converting');
+                const archiveToots = tootsFromOutbox(outbox, actor?.followers || `${actorUri}/followers`)
+                    .filter(toot => toot.id && toot.created_at);
+
+                // Per API importierte Toots enthalten mehr Daten (Favoriten, Reblogs) und werden nicht überschrieben
+                const existingIds = new Set((await getAllFromDb('toots', 'accountKey', accountKey)).map(toot => toot.id));
+                const newToots = archiveToots.filter(toot => !existingIds.has(toot.id));
+
+                for (let i = 0; i < newToots.length; i += ARCHIVE_BATCH_SIZE) {
+                    await saveManyToDb('toots', newToots.slice(i, i + ARCHIVE_BATCH_SIZE).map(toot => ({ ...toot, accountKey })));
+                    statusText.value = t('archive.saved', { saved: Math.min(i + ARCHIVE_BATCH_SIZE, newToots.length), total: newToots.length });
+                }
+
+                if (!(await getFromDb('config', `auth:${accountKey}`))) {
+                    await saveToDb('config', {
+                        key: `auth:${accountKey}`,
+                        accountKey,
+                        instanceUrl: archiveInstanceUrl,
+                        accessToken: null,
+                        username: archiveUsername,
+                        userId: null,
+                        displayName: plainDisplayName(actor?.name)
+                    });
+                }
+
+                await loadAccounts();
+                await activateAccount(accountKey);
+
+                totalToots.value = newToots.length;
+                importSummary.value = { added: newToots.length, updated: 0 };
+                importTime.value = Date.now() - startTime;
+                importComplete.value = true;
+                await generateWrapped();
+
+            } catch (err) {
+                error.value = t('archive.failed', { message: errorMessage(err) });
+            } finally {
+                isImporting.value = false;
+            }
+        };
+
+        // View Functions
+        /** Feste Zeilenhöhe, damit nur die sichtbaren Toots gerendert werden müssen */
+        const TOOT_ROW_HEIGHT = 220;
+        const TOOT_LIST_HEIGHT = 600;
+        /** Zusätzlich gerenderte Zeilen über und unter dem sichtbaren Bereich */
+        const TOOT_OVERSCAN = 5;
+
+        const loadToots = async () => {
+            const localDomain = accountDomain.value;
+            const entries = (await getAccountToots()).map(toot => toBrowserEntry(toot, localDomain, timeZone.value));
+            toots.value = entries.sort(TOOT_SORTS.newest);
+            openWarnings.value = [];
+        };
+
+        const viewToots = async () => {
+            if (!showToots.value) {
+                await loadToots();
+                tootFilter.value = emptyTootFilter();
+            }
+            showToots.value = !showToots.value;
+        };
+
+        /**
+         * Öffnet den Toot-Browser mit einem Filter, z.B. beim Klick auf einen Hashtag einer Karte.
+         * @param {Partial<TootFilter>} filter
+         */
+        const openTootBrowser = async (filter) => {
+            await loadToots();
+            tootFilter.value = { ...emptyTootFilter(), ...filter };
+            showToots.value = true;
+            await nextTick();
+            document.querySelector('.toot-browser')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        };
+
+        /**
+         * @param {string} id
+         */
+        const toggleWarning = (id) => {
+            openWarnings.value = openWarnings.value.includes(id)
+                ? openWarnings.value.filter(openId => openId !== id)
+                : [...openWarnings.value, id];
+        };
+
+        const resetTootFilter = () => {
+            tootFilter.value = emptyTootFilter();
+        };
+
+        const filteredToots = computed(() => toots.value
+            .filter(entry => matchesTootFilter(entry, tootFilter.value))
+            .sort(TOOT_SORTS[tootFilter.value.sort]));
+
+        /** Hashtags aller Toots nach Häufigkeit, als Vorschläge für den Filter */
+        const tootHashtags = computed(() => {
+            const counts = {};
+            toots.value.forEach(entry => entry.hashtags.forEach(tag => {
+                counts[tag] = (counts[tag] || 0) + 1;
+            }));
+            return Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+        });
+
+        /**
+         * Ausschnitt der gefilterten Toots, der im sichtbaren Bereich der Liste liegt
+         */
+        const visibleToots = computed(() => {
+            const first = Math.max(0, Math.floor(tootScrollTop.value / TOOT_ROW_HEIGHT) - TOOT_OVERSCAN);
+            const count = Math.ceil(TOOT_LIST_HEIGHT / TOOT_ROW_HEIGHT) + 2 * TOOT_OVERSCAN;
+            return { offset: first * TOOT_ROW_HEIGHT, entries: filteredToots.value.slice(first, first + count) };
+        });
+
+        /**
+         * @param {Event} event
+         */
+        const scrollToots = (event) => {
+            tootScrollTop.value = event.target.scrollTop;
+        };
+
+        // Nach jeder Filteränderung oben beginnen
+        watch(tootFilter, () => {
+            tootScrollTop.value = 0;
+            const list = document.querySelector('.toot-list');
+            if (list) list.scrollTop = 0;
+        }, { deep: true });
+
+        /**
+         * @param {string} dateString
+         * @returns {string}
+         */
         const formatDate = (dateString) => {
             const date = new Date(dateString);
-            return date.toLocaleDateString('de-DE', {
+            return date.toLocaleDateString(intlLocale.value, {
                 day: '2-digit',
                 month: '2-digit',
                 year: 'numeric',
@@ -386,437 +2477,1966 @@ createApp({
             });
         };
 
-        const resetApp = async () => {
-            if (confirm('Möchtest du wirklich alle lokalen Daten löschen und neu starten?')) {
-                const transaction = db.value.transaction(['toots', 'config'], 'readwrite');
-                transaction.objectStore('toots').clear();
-                transaction.objectStore('config').clear();
+        /**
+         * Kurzbezeichnung eines Zeitraums für Überschriften, z.B. "2025" oder "01.03.2025 – 31.08.2025"
+         * @param {WrappedPeriod} p
+         * @returns {string}
+         */
+        const formatPeriod = (p) => {
+            switch (p.type) {
+                case 'year':
+                    return `${p.year}`;
+                case 'custom':
+                    return `${p.from ? new Date(`${p.from}T00:00:00`).toLocaleDateString(intlLocale.value) : '…'} – ${p.to ? new Date(`${p.to}T00:00:00`).toLocaleDateString(intlLocale.value) : t('period.today')}`;
+                case 'all':
+                    return t('period.allLabel');
+                default: {
+                    const { start } = getPeriodRange(p);
+                    const monthYear = { month: 'short', year: 'numeric' };
+                    return `${start.toLocaleDateString(intlLocale.value, monthYear)} – ${new Date().toLocaleDateString(intlLocale.value, monthYear)}`;
+                }
+            }
+        };
+
+        const periodLabel = computed(() => formatPeriod(period.value));
+
+        /**
+         * @returns {WrappedPeriod|null}
+         */
+        const comparePeriod = computed(() => {
+            if (compareWith.value === 'previous') return previousPeriod(period.value);
+            if (typeof compareWith.value === 'number') return { type: 'year', year: compareWith.value, from: '', to: '' };
+            return null;
+        });
+
+        /**
+         * Zeitraum als Satzteil für Alternativtexte, z.B. "in 2025" oder "in den letzten 12 Monaten"
+         */
+        const periodPhrase = computed(() => {
+            switch (period.value.type) {
+                case 'year':
+                    return t('period.phraseYear', { year: `${period.value.year}` });
+                case 'custom':
+                    return t('period.phraseCustom', { range: periodLabel.value });
+                case 'all':
+                    return t('period.phraseAll');
+                default:
+                    return t('period.phraseLast12');
+            }
+        });
+
+        const savePeriod = async () => {
+            period.value = orderedPeriod(period.value);
+            await saveToDb('config', { key: 'period', ...period.value });
+            // Ein abgebrochener Import für den bisherigen Zeitraum wird nicht mehr fortgesetzt
+            if (pendingImport.value && pendingImport.value.period !== importPeriodKey(period.value)) {
+                await deleteFromDb('config', pendingImport.value.key);
+                pendingImport.value = null;
+            }
+            if (storageInfo.value) await loadStorageInfo();
+            if (wrappedData.value) await generateWrapped();
+        };
+
+        const saveCompareWith = async () => {
+            await saveToDb('config', { key: 'compareWith', value: compareWith.value });
+            if (wrappedData.value) await generateWrapped();
+        };
+
+        const saveTimeZone = async () => {
+            await saveToDb('config', { key: 'timeZone', timeZone: timeZone.value });
+            if (wrappedData.value) await generateWrapped();
+        };
+
+        /**
+         * @param {string} dateString
+         * @returns {string}
+         */
+        const formatDay = (dateString) => new Date(dateString).toLocaleDateString(intlLocale.value);
+
+        /**
+         * @param {string} text
+         * @param {number} maxLength
+         * @returns {string}
+         */
+        const truncate = (text, maxLength) => {
+            const chars = [...text];
+            return chars.length > maxLength ? `${chars.slice(0, maxLength).join('').trimEnd()}…` : text;
+        };
+
+        const resetApp = async () => {
+            if (confirm(t('import.confirmReset'))) {
+                const auths = (await getAllFromDb('config')).filter(entry => entry.key.startsWith('auth:'));
+                const failed = [];
+                for (const auth of auths) {
+                    if (!await revokeToken(auth)) failed.push(hostOf(auth.instanceUrl));
+                }
+
+                const transaction = db.value.transaction(['toots', 'notifications', 'config'], 'readwrite');
+                transaction.objectStore('toots').clear();
+                transaction.objectStore('notifications').clear();
+                transaction.objectStore('config').clear();
+
+                clearSession();
+                accounts.value = [];
+                period.value = defaultPeriod();
+                timeZone.value = browserTimeZone();
+                theme.value = defaultTheme();
+                customFontName.value = null;
+                cardOrder.value = [...ALL_CARDS];
+                hiddenCards.value = [];
+                innerCircle.value = { enabled: false, graph: false };
+                compareWith.value = '';
+                if (failed.length > 0) error.value = t('errors.revoke', { instance: [...new Set(failed)].join(', ') });
+            }
+        };
+
+        // Storage Functions
+        /**
+         * Schlüsselbereich im Index accountCreatedAt für Toots vor dem Beginn eines Zeitraums. Neuere Toots
+         * bleiben, sonst lädt die Phase new des nächsten Imports sie erneut herunter.
+         * @param {string} accountKey
+         * @param {WrappedPeriod} p
+         * @returns {IDBKeyRange|null} null, wenn der Zeitraum keinen Beginn hat
+         */
+        const rangeBeforePeriod = (accountKey, p) => {
+            const { start } = getPeriodRange(p);
+            return start ? IDBKeyRange.bound([accountKey, ''], [accountKey, start.toISOString()], false, true) : null;
+        };
+
+        /**
+         * @param {number} bytes
+         * @returns {string} z.B. "12,5 MB"
+         */
+        const formatBytes = (bytes) => new Intl.NumberFormat(intlLocale.value, { style: 'unit', unit: 'megabyte', maximumFractionDigits: 1 }).format(bytes / 1e6);
+
+        /** Toots je Sichtbarkeit, z.B. "Öffentlich: 1.234 · Nur Follower: 12" */
+        const storageVisibility = computed(() => storageInfo.value
+            ? Object.entries(storageInfo.value.visibility)
+                .filter(([, count]) => count > 0)
+                .map(([value, count]) => `${t(`share.visibilities.${value}`)}: ${formatNumber(count)}`)
+                .join(' · ')
+            : '');
+
+        const loadStorageInfo = async () => {
+            const accountKey = activeAccount.value;
+            const beforeRange = rangeBeforePeriod(accountKey, period.value);
+            const beforePeriod = beforeRange ? await countInDb('toots', 'accountCreatedAt', beforeRange) : 0;
+            const visibility = {};
+            for (const value of ['public', 'unlisted', 'private', 'direct']) {
+                visibility[value] = await countInDb('toots', 'accountVisibility', IDBKeyRange.only([accountKey, value]));
+            }
+            // Nicht in jedem Browser verfügbar, z.B. in älteren Safari-Versionen
+            const estimate = navigator.storage?.estimate ? await navigator.storage.estimate() : {};
+
+            storageInfo.value = {
+                toots: await countInDb('toots', 'accountKey', accountKey),
+                beforePeriod,
+                visibility,
+                notifications: await countInDb('notifications', 'accountKey', accountKey),
+                snapshots: await countInDb('config', null, IDBKeyRange.bound(`stats:${accountKey}:`, `stats:${accountKey}:\uffff`)),
+                usage: estimate.usage ?? null,
+                quota: estimate.quota ?? null
+            };
+        };
+
+        /**
+         * Löscht die Toots des aktiven Kontos vor dem gewählten Zeitraum. Bereits erstellte
+         * Auswertungen bleiben über die gespeicherten Statistiken erhalten.
+         */
+        const pruneToots = async () => {
+            const count = storageInfo.value?.beforePeriod || 0;
+            const range = rangeBeforePeriod(activeAccount.value, period.value);
+            if (count === 0 || !range || !confirm(t('storage.confirmPrune', { count, period: periodLabel.value }))) return;
+
+            const deleted = await deleteByIndex('toots', 'accountCreatedAt', range);
+            existingTootsCount.value = await countInDb('toots', 'accountKey', activeAccount.value);
+            toots.value = [];
+            showToots.value = false;
+            storageStatus.value = t('storage.pruned', { count: deleted });
+            await loadStorageInfo();
+        };
+
+        /**
+         * Lädt die ganze Datenbank als JSON-Datei herunter. Zugangstoken und die eigene Schrift
+         * werden nicht exportiert.
+         */
+        const exportDatabase = async () => {
+            storageStatus.value = t('storage.exporting');
+            const config = (await getAllFromDb('config'))
+                .filter(entry => !BACKUP_EXCLUDED_KEYS.includes(entry.key))
+                .map(entry => entry.key.startsWith('auth:') ? { ...entry, accessToken: null } : entry)
+                .map(entry => entry.key.startsWith('stats:') && !innerCircle.value.enabled ? { ...entry, stats: withoutAccountRankings(entry.stats) } : entry);
+            /** @type {DatabaseBackup} */
+            const backup = {
+                format: BACKUP_FORMAT,
+                version: MIGRATIONS.length,
+                exportedAt: new Date().toISOString(),
+                stores: {
+                    config,
+                    toots: await getAllFromDb('toots'),
+                    notifications: await getAllFromDb('notifications')
+                }
+            };
+            saveBlob(new Blob([JSON.stringify(backup)], { type: 'application/json' }), `mastodon-wraps-backup-${localDateKey(new Date())}.json`);
+            storageStatus.value = t('storage.exported', { count: backup.stores.toots.length });
+        };
+
+        /**
+         * Spielt eine Sicherung aus {@link exportDatabase} ein. Vorhandene Einträge bleiben unverändert,
+         * damit z.B. Token und neuere Zähler dieses Browsers erhalten bleiben.
+         * @param {Event} event
+         */
+        const importBackup = async (event) => {
+            const file = event.target.files?.[0];
+            event.target.value = '';
+            if (!file) return;
+
+            error.value = null;
+            storageStatus.value = '';
+            isImporting.value = true;
+            statusText.value = t('storage.reading');
+
+            try {
+                let backup;
+                try {
+                    backup = JSON.parse(await file.text());
+                } catch (err) {
+                    throw new TranslatableError('storage.invalidBackup');
+                }
+                if (backup?.format !== BACKUP_FORMAT || !backup.stores) throw new TranslatableError('storage.invalidBackup');
+                if (backup.version > MIGRATIONS.length) throw new TranslatableError('storage.newerBackup');
+
+                const added = {};
+                for (const [storeName, isValid] of Object.entries(BACKUP_STORES)) {
+                    const existing = new Set((await getAllKeysFromDb(storeName)).map(key => JSON.stringify(key)));
+                    const keyOf = storeName === 'config' ? (entry) => entry.key : (entry) => [entry.accountKey, entry.id];
+                    const entries = (backup.stores[storeName] || [])
+                        .filter(entry => entry && isValid(entry) && !BACKUP_EXCLUDED_KEYS.includes(entry.key) && !existing.has(JSON.stringify(keyOf(entry))))
+                        // Sicherungen vor Version 5 enthalten noch nicht normalisierte Zeitpunkte
+                        .map(entry => storeName === 'toots' ? { ...entry, created_at: normalizeDate(entry.created_at) } : entry);
+
+                    for (let i = 0; i < entries.length; i += ARCHIVE_BATCH_SIZE) {
+                        await saveManyToDb(storeName, entries.slice(i, i + ARCHIVE_BATCH_SIZE));
+                        statusText.value = t('storage.restoring', { saved: Math.min(i + ARCHIVE_BATCH_SIZE, entries.length), total: entries.length });
+                    }
+                    added[storeName] = entries.length;
+                }
+
+                await loadSettings();
+                await restoreActiveAccount();
+                storageStatus.value = t('storage.restored', { toots: added.toots, notifications: added.notifications, settings: added.config });
+            } catch (err) {
+                error.value = t('storage.restoreFailed', { message: errorMessage(err) });
+            } finally {
+                isImporting.value = false;
+            }
+        };
+
+        // Wrapped Functions
+        /**
+         * Berechnet die Statistiken mehrerer Zeiträume im Web Worker (stats-worker.js). Gibt es keine
+         * Worker oder lässt sich das Skript nicht laden, wird auf dem Hauptthread gerechnet.
+         * @param {WrappedPeriod[]} periods
+         * @returns {Promise<WrappedStats[]>}
+         */
+        const computeWrappedStats = async (periods) => {
+            const request = {
+                accountKey: activeAccount.value,
+                // Reaktive Proxys lassen sich nicht an den Worker übergeben
+                periods: periods.map(p => ({ ...p })),
+                timeZone: timeZone.value,
+                localDomain: accountDomain.value
+            };
+            const fromWorker = typeof Worker === 'undefined' ? null : await new Promise((resolve, reject) => {
+                const worker = new Worker('/stats-worker.js');
+                worker.onmessage = ({ data }) => {
+                    if (data.type === 'progress') {
+                        generatingProgress.value = Math.round((data.done / data.total) * 100);
+                        return;
+                    }
+                    worker.terminate();
+                    if (data.type === 'result') resolve(data.stats);
+                    else reject(new Error(data.message));
+                };
+                worker.onerror = (event) => {
+                    event.preventDefault();
+                    worker.terminate();
+                    resolve(null);
+                };
+                worker.postMessage(request);
+            });
+            if (fromWorker) return fromWorker;
+
+            const allToots = await getAccountToots();
+            const notifications = await getAllFromDb('notifications', 'accountKey', activeAccount.value);
+            return periods.map(p => computeWrapped(allToots, notifications, p, timeZone.value, accountDomain.value));
+        };
+
+        /**
+         * Enthält die Datenbank weniger Toots als bei der letzten Auswertung (z.B. nachdem ältere Toots
+         * gelöscht wurden), wird statt der neu berechneten die gespeicherte Auswertung verwendet.
+         * @param {WrappedStats} computed
+         * @param {WrappedPeriod} p
+         * @returns {Promise<WrappedStats>}
+         */
+        const resolveStats = async (computed, p) => {
+            const stats = innerCircle.value.enabled ? computed : withoutAccountRankings(computed);
+            const key = periodKey(p);
+            if (!key) return stats;
+
+            const snapshotKey = `stats:${activeAccount.value}:${key}`;
+            const snapshot = await getFromDb('config', snapshotKey);
+            const count = stats.totalToots + stats.totalRetoots;
+            if (snapshot && snapshot.stats.totalToots + snapshot.stats.totalRetoots > count) {
+                // Ältere Auswertungen enthalten noch keine Benachrichtigungen
+                const restored = { ...emptyStats(snapshot.stats.timeZone), ...snapshot.stats, engagement: snapshot.stats.engagement || stats.engagement };
+                if (!innerCircle.value.enabled) return withoutAccountRankings(restored);
+                // Vor der Zustimmung gespeicherte Auswertungen enthalten keine Ranglisten
+                if (restored.innerCircle.length === 0) restored.innerCircle = stats.innerCircle;
+                if (restored.engagement?.topFans.length === 0 && stats.engagement) {
+                    restored.engagement = { ...restored.engagement, topFans: stats.engagement.topFans };
+                }
+                return restored;
+            }
+            if (count > 0) {
+                await saveToDb('config', { key: snapshotKey, stats, savedAt: new Date().toISOString() });
+            }
+            return stats;
+        };
+
+        const generateWrapped = async () => {
+            isGenerating.value = true;
+            generatingProgress.value = null;
+            // Die Vorschau zeigt sonst veraltete Karten
+            sharePreview.value = null;
+
+            await new Promise(resolve => setTimeout(resolve, 500));
+
+            try {
+                const previous = comparePeriod.value;
+                const [current, previousStats] = await computeWrappedStats(previous ? [period.value, previous] : [period.value]);
+                const stats = await resolveStats(current, period.value);
+                stats.comparison = previous ? { period: previous, stats: await resolveStats(previousStats, previous) } : null;
+
+                wrappedData.value = stats;
+
+                await nextTick();
+                setTimeout(() => {
+                    const wrappedElement = document.querySelector('.wrapped-container');
+                    if (wrappedElement) {
+                        wrappedElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                    }
+                }, 100);
+                buildCards();
+                await loadCircleAvatars();
+                redrawCards();
+            } catch (err) {
+                error.value = t('errors.generate', { message: errorMessage(err) });
+            } finally {
+                isGenerating.value = false;
+            }
+        };
+
+        /**
+         * @param {'total'|'hashtags'|'activity'|'longest'|'words'|'timeofday'|'heatmap'|'calendar'|'social'|'mentions'|'topfavs'|'topboosts'|'topreplies'|'month'|'timeline'} type
+         * @returns {Promise<void>}
+         */
+        const downloadWrappedCard = async (type, download = true) => {
+            await createAndDownloadImage(cardsValue.value[type], type, download);
+        };
+
+        /**
+         * Erstellt Texte und Daten aller Karten aus den Statistiken in der gewählten Sprache.
+         */
+        const buildCards = () => {
+            const header = t('wrapped.header', { period: periodLabel.value });
+            const phrase = periodPhrase.value;
+            const Phrase = phrase.charAt(0).toUpperCase() + phrase.slice(1);
+            const data = wrappedData.value;
+            const monthName = (monthKey, withYear) => formatMonthKey(monthKey, intlLocale.value, 'long', withYear);
+            const dateName = (dateKey) => formatDateKey(dateKey, intlLocale.value);
+            const range = periodDates(period.value);
+            const browse = (label, filter = {}) => ({ label, filter: { ...range, ...filter } });
+
+            const heatmapAltText = () => {
+                const peaks = heatmapPeaks(data.heatmap);
+                const adverbs = t('weekdays.adverbs');
+                const intro = t('cards.heatmap.alt', { period: phrase, timeZone: data.timeZone });
+                if (peaks.length === 0) return `${intro} ${t('cards.heatmap.empty')}`;
+                const windows = peaks.map(peak => t('cards.heatmap.window', { weekday: adverbs[peak.weekday], from: peak.from, to: peak.to, count: peak.count }));
+                const weekdaySums = data.heatmap.map(hours => hours.reduce((sum, count) => sum + count, 0));
+                const busiestWeekday = weekdaySums.indexOf(Math.max(...weekdaySums));
+                return [
+                    intro,
+                    t('cards.heatmap.peaks', { windows: windows.join(', ') }),
+                    t('cards.heatmap.busiest', { weekday: adverbs[busiestWeekday], hour: data.mostActiveHour })
+                ].join(' ');
+            };
+
+            const timelineAltText = () => {
+                const months = data.timeline.map(entry => ({ ...entry, total: entry.originals + entry.replies + entry.boosts }));
+                const intro = t('cards.timeline.alt', { period: phrase });
+                if (months.every(entry => entry.total === 0)) return `${intro} ${t('cards.timeline.empty')}`;
+
+                const peak = months.reduce((best, entry) => entry.total > best.total ? entry : best);
+                const quiet = months.reduce((best, entry) => entry.total < best.total ? entry : best);
+                const parts = [intro];
+                parts.push(t('cards.timeline.peak', { month: monthName(peak.month, true), total: peak.total, originals: peak.originals, replies: peak.replies, boosts: peak.boosts }));
+                parts.push(quiet.total === 0
+                    ? t('cards.timeline.silent', { month: monthName(quiet.month, true) })
+                    : t('cards.timeline.quiet', { month: monthName(quiet.month, true), total: quiet.total }));
+
+                const half = Math.floor(months.length / 2);
+                const firstHalf = months.slice(0, half).reduce((sum, entry) => sum + entry.total, 0);
+                const secondHalf = months.slice(half).reduce((sum, entry) => sum + entry.total, 0);
+                if (half > 0 && firstHalf !== secondHalf) {
+                    parts.push(secondHalf > firstHalf ? t('cards.timeline.rising') : t('cards.timeline.falling'));
+                }
+                return parts.join(' ');
+            };
+
+            // Der Kalender zeigt höchstens ein Jahr, bei "Alle Toots" zählen nur die Tage darin
+            const calendarActiveDays = data.calendar.counts.filter(count => count > 0).length;
+
+            const calendarAltText = () => {
+                const parts = [t('cards.calendar.alt', { period: phrase })];
+                parts.push(t('cards.calendar.altActive', { active: calendarActiveDays, total: data.calendar.counts.length }));
+                if (data.busiestDay.count > 0) {
+                    parts.push(t('cards.calendar.altBusiest', { date: dateName(data.busiestDay.date), count: data.busiestDay.count }));
+                }
+                parts.push(t('cards.calendar.altStreaks', { longest: data.longestStreak, current: data.currentStreak }));
+                if (data.longestBreak.days > 0) {
+                    parts.push(t('cards.calendar.altBreak', { count: data.longestBreak.days, from: dateName(data.longestBreak.from), to: dateName(data.longestBreak.to) }));
+                }
+                return parts.join(' ');
+            };
+
+            /**
+             * @param {CircleEntry} entry
+             * @returns {string} z.B. "5 Antworten · 2 Re-Toots"
+             */
+            const circleDetail = (entry) => ['replies', 'mentions', 'boosts']
+                .filter(field => entry[field] > 0)
+                .map(field => t(`cards.circle.${field}`, { count: entry[field] }))
+                .join(' · ');
+
+            /**
+             * @param {[string, string]} gradient
+             * @param {string} label
+             * @param {TootHighlight[]} highlights
+             * @param {'favourites_count'|'reblogs_count'|'replies_count'} field
+             * @param {string} countLabel
+             * @returns {WrappedCard}
+             */
+            const topTootsCard = (gradient, label, highlights, field, countLabel) => ({
+                gradient,
+                header,
+                value: t('cards.topToots.none', { countLabel, period: phrase }),
+                label,
+                toots: highlights.map((toot, index) => ({
+                    meta: `${index + 1}. ${formatDay(toot.created_at)} · ⭐ ${formatNumber(toot.favourites_count)}  🔁 ${formatNumber(toot.reblogs_count)}  💬 ${formatNumber(toot.replies_count)}`,
+                    excerpt: toot.excerpt || t('cards.topToots.noText')
+                })),
+                filters: [browse(label, { sort: field.replace('_count', '') })],
+                altText: highlights.length > 0
+                    ? t('cards.topToots.alt', {
+                        label,
+                        period: phrase,
+                        list: highlights.map((toot, index) => t('cards.topToots.altEntry', {
+                            rank: index + 1,
+                            excerpt: truncate(toot.excerpt, 100),
+                            date: formatDay(toot.created_at),
+                            count: toot[field],
+                            countLabel
+                        })).join(', ')
+                    })
+                    : t('cards.topToots.altNone', { Period: Phrase, countLabel })
+            });
+            cardsValue.value = {
+                total: {
+                    gradient: ['#fa709a', '#fee140'],
+                    header: header,
+                    value: formatNumber(data.totalToots),
+                    label: t('cards.total.label'),
+                    extraList: [
+                        t('cards.total.avgLength', { count: data.avgLength }),
+                        t('cards.total.withMedia', { count: data.withMedia }),
+                        t('cards.total.replies', { count: data.replies }),
+                        t('cards.total.retoots', { count: data.totalRetoots })
+                    ],
+                    filters: [
+                        browse(t('cards.total.label')),
+                        browse(t('cards.total.withMedia', { count: data.withMedia }), { media: true }),
+                        browse(t('cards.total.replies', { count: data.replies }), { kind: 'reply' }),
+                        browse(t('cards.total.retoots', { count: data.totalRetoots }), { kind: 'boost' })
+                    ],
+                    altText: t('cards.total.alt', { period: phrase, total: data.totalToots, avgLength: data.avgLength, withMedia: data.withMedia, replies: data.replies, retoots: data.totalRetoots })
+                },
+                hashtags: {
+                    gradient: ['#4facfe', '#00f2fe'],
+                    header: header,
+                    value: data.topHashtags.slice(0, 1).map(entry => t('cards.hashtags.entry', entry)).join(' '),
+                    label: t('cards.hashtags.label'),
+                    extraList: data.topHashtags.slice(1, 6).map(entry => t('cards.hashtags.entry', entry)),
+                    filters: data.topHashtags.map(entry => browse(`#${entry.tag}`, { hashtag: entry.tag })),
+                    altText: data.topHashtags.length > 0
+                        ? t('cards.hashtags.alt', { period: phrase, list: data.topHashtags.map(entry => t('cards.hashtags.altEntry', entry)).join(', ') })
+                        : t('cards.hashtags.none', { period: phrase })
+                },
+                activity: {
+                    gradient: ['#43e97b', '#38f9d7'],
+                    header: header,
+                    value: t('cards.activity.value', { hour: data.mostActiveHour }),
+                    label: t('cards.activity.label'),
+                    extra: t('cards.activity.extra', { day: formatWeekday(data.mostActiveDay, intlLocale.value), count: data.longestStreak }),
+                    altText: t('cards.activity.alt', { period: phrase, hour: data.mostActiveHour, count: data.longestStreak, day: formatWeekday(data.mostActiveDay, intlLocale.value) })
+                },
+                heatmap: {
+                    gradient: ['#667eea', '#764ba2'],
+                    header: header,
+                    value: '',
+                    label: t('cards.heatmap.label'),
+                    heatmap: data.heatmap,
+                    extra: t('cards.heatmap.timeZone', { timeZone: data.timeZone }),
+                    altText: heatmapAltText()
+                },
+                calendar: {
+                    gradient: ['#43e97b', '#38f9d7'],
+                    header: header,
+                    value: '',
+                    label: t('cards.calendar.label'),
+                    calendar: data.calendar,
+                    extraList: [
+                        t('cards.calendar.activeDays', { count: calendarActiveDays }),
+                        t('cards.calendar.currentStreak', { count: data.currentStreak, longest: data.longestStreak }),
+                        t('cards.calendar.longestBreak', { count: data.longestBreak.days }),
+                        data.busiestDay.count > 0
+                            ? t('cards.calendar.busiestDay', { date: dateName(data.busiestDay.date), count: data.busiestDay.count })
+                            : t('cards.calendar.noBusiestDay')
+                    ],
+                    filters: data.busiestDay.count > 0
+                        ? [browse(dateName(data.busiestDay.date), { from: data.busiestDay.date, to: data.busiestDay.date })]
+                        : [],
+                    altText: calendarAltText()
+                },
+                longest: {
+                    gradient: ['#fa709a', '#fee140'],
+                    header: header,
+                    value: formatNumber(data.longestToot),
+                    label: t('cards.longest.label'),
+                    extraList: [
+                        t('cards.longest.shortest', { count: data.shortestToot }),
+                        t('cards.longest.median', { count: data.medianLength })
+                    ],
+                    filters: [browse(t('cards.longest.label'), { sort: 'length' })],
+                    altText: t('cards.longest.alt', { period: phrase, longest: data.longestToot, shortest: data.shortestToot, median: data.medianLength })
+                },
+                words: {
+                    gradient: ['#f093fb', '#f5576c'],
+                    header: header,
+                    value: formatNumber(data.totalWords),
+                    label: t('cards.words.label'),
+                    extraList: [
+                        t('cards.words.pages', { count: Math.round(data.totalWords / 250) }),
+                        t('cards.words.perToot', { count: data.avgWords })
+                    ],
+                    altText: t('cards.words.alt', { period: phrase, total: data.totalWords, pages: Math.round(data.totalWords / 250), avg: data.avgWords })
+                },
+                timeofday: {
+                    gradient: ['#4facfe', '#00f2fe'],
+                    header: header,
+                    value: t('cards.timeofday.value'),
+                    label: '',
+                    extraList: [
+                        t('cards.timeofday.morning', { percent: data.timeDistribution.morning }),
+                        t('cards.timeofday.afternoon', { percent: data.timeDistribution.afternoon }),
+                        t('cards.timeofday.evening', { percent: data.timeDistribution.evening }),
+                        t('cards.timeofday.night', { percent: data.timeDistribution.night })
+                    ],
+                    altText: t('cards.timeofday.alt', { Period: Phrase, ...data.timeDistribution })
+                },
+                social: {
+                    gradient: ['#43e97b', '#38f9d7'],
+                    header: header,
+                    value: t('cards.social.value', { count: data.totalMentions }),
+                    label: t('cards.social.label'),
+                    extraList: [
+                        t('cards.social.favourites', { count: data.totalFavorites }),
+                        t('cards.social.reblogs', { count: data.totalReblogs }),
+                        t('cards.social.links', { count: data.totalLinks }),
+                        t('cards.social.private', { count: data.privateToots })
+                    ],
+                    filters: [
+                        browse(`🔒 ${t('share.visibilities.private')}`, { visibility: 'private' }),
+                        browse(`✉️ ${t('share.visibilities.direct')}`, { visibility: 'direct' })
+                    ],
+                    altText: t('cards.social.alt', { Period: Phrase, mentions: data.totalMentions, links: data.totalLinks, reblogs: data.totalReblogs, favourites: data.totalFavorites, private: data.privateToots })
+                },
+                mentions: {
+                    gradient: ['#4facfe', '#00f2fe'],
+                    header: header,
+                    value: data.topMentions.slice(0, 1).map(m => `@${m.acct}`).join('') || '–',
+                    label: t('cards.mentions.label'),
+                    extraList: data.topMentions.slice(1, 5).map(entry => t('cards.mentions.entry', entry)),
+                    filters: data.topMentions.map(entry => browse(`@${entry.acct}`, { mention: entry.acct })),
+                    altText: data.topMentions.length > 0
+                        ? t('cards.mentions.alt', { period: phrase, list: data.topMentions.map(entry => t('cards.mentions.altEntry', entry)).join(', ') })
+                        : t('cards.mentions.none', { period: phrase })
+                },
+                circle: {
+                    gradient: ['#f093fb', '#f5576c'],
+                    header: header,
+                    value: '',
+                    label: t('cards.circle.label'),
+                    circle: data.innerCircle.map(entry => ({ acct: entry.acct, detail: circleDetail(entry), total: entry.total })),
+                    graph: innerCircle.value.graph,
+                    filters: data.innerCircle
+                        .filter(entry => entry.replies + entry.mentions > 0)
+                        .map(entry => browse(`@${entry.acct}`, { mention: entry.acct })),
+                    altText: t('cards.circle.alt', {
+                        period: phrase,
+                        list: data.innerCircle.map(entry => `@${entry.acct} (${circleDetail(entry)})`).join(', ')
+                    })
+                },
+                topfavs: topTootsCard(['#f093fb', '#f5576c'], t('cards.topToots.favourites'), data.topFavourited, 'favourites_count', t('cards.topToots.favouritesCount')),
+                topboosts: topTootsCard(['#43e97b', '#38f9d7'], t('cards.topToots.reblogs'), data.topReblogged, 'reblogs_count', t('cards.topToots.reblogsCount')),
+                topreplies: topTootsCard(['#fa709a', '#fee140'], t('cards.topToots.replies'), data.topReplied, 'replies_count', t('cards.topToots.repliesCount')),
+                month: {
+                    gradient: ['#f093fb', '#f5576c'],
+                    header: header,
+                    value: data.mostActiveMonth.key ? monthName(data.mostActiveMonth.key, period.value.type !== 'year') : '–',
+                    label: t('cards.month.label'),
+                    extra: t('cards.month.extra', { count: data.mostActiveMonth.count }),
+                    filters: data.mostActiveMonth.key
+                        ? [browse(monthName(data.mostActiveMonth.key, true), { from: `${data.mostActiveMonth.key}-01`, to: addDays(`${addMonths(data.mostActiveMonth.key, 1)}-01`, -1) })]
+                        : [],
+                    altText: data.mostActiveMonth.key
+                        ? t('cards.month.alt', { period: phrase, month: monthName(data.mostActiveMonth.key, period.value.type !== 'year'), count: data.mostActiveMonth.count })
+                        : t('cards.timeline.empty')
+                },
+                timeline: {
+                    gradient: ['#667eea', '#764ba2'],
+                    header: header,
+                    value: '',
+                    label: t('cards.timeline.label'),
+                    timeline: data.timeline,
+                    altText: timelineAltText()
+                },
+                content: contentCard(data.content, header, phrase, browse),
+                ...(data.comparison ? comparisonCards(data, data.comparison) : {}),
+                ...(data.engagement ? engagementCards(data.engagement, header, phrase) : {})
+            };
+        };
+
+        /**
+         * @param {string} code ISO 639-1, z.B. "de"
+         * @returns {string} Name der Sprache in der gewählten Sprache, sonst der Code
+         */
+        const languageName = (code) => {
+            try {
+                return new Intl.DisplayNames(intlLocale.value, { type: 'language' }).of(code) || code;
+            } catch (err) {
+                return code;
+            }
+        };
+
+        /**
+         * Karte zu Medien, Bildbeschreibungen, Umfragen, Inhaltswarnungen, Bearbeitungen und Sprachen.
+         * @param {ContentStats} content
+         * @param {string} header
+         * @param {string} phrase Zeitraum als Satzteil
+         * @param {(label: string, filter?: Partial<TootFilter>) => {label: string, filter: Partial<TootFilter>}} browse
+         * @returns {WrappedCard}
+         */
+        const contentCard = (content, header, phrase, browse) => {
+            const percent = new Intl.NumberFormat(intlLocale.value, { style: 'percent', maximumFractionDigits: 0 });
+            const { media, altText, polls } = content;
+            const total = wrappedData.value.totalToots;
+            const coverage = altText.total > 0 ? percent.format(altText.described / altText.total) : '';
+            const mediaTypes = Object.entries(media).filter(([, count]) => count > 0);
+            const languages = content.languages.slice(0, 3).map(entry => languageName(entry.language)).join(', ');
+            const warnings = percent.format(total > 0 ? content.contentWarnings / total : 0);
+
+            const lines = [
+                mediaTypes.map(([type, count]) => t(`cards.content.media.${type}`, { count })).join(' · '),
+                polls.created > 0 ? t('cards.content.polls', { count: polls.created, votes: formatNumber(polls.votes) }) : '',
+                t('cards.content.contentWarnings', { percent: warnings }),
+                content.edited > 0 ? t('cards.content.edited', { count: content.edited }) : '',
+                languages ? t('cards.content.languages', { languages }) : ''
+            ].filter(Boolean);
+            const altParts = [
+                coverage
+                    ? t('cards.content.alt', { period: phrase, percent: coverage, described: altText.described, total: altText.total })
+                    : t('cards.content.altNoMedia', { period: phrase }),
+                mediaTypes.length > 0
+                    ? t('cards.content.altMedia', { list: mediaTypes.map(([type, count]) => t(`cards.content.mediaWords.${type}`, { count })).join(', ') })
+                    : '',
+                polls.created > 0 ? t('cards.content.altPolls', { count: polls.created, votes: polls.votes }) : '',
+                t('cards.content.altContentWarnings', { percent: warnings }),
+                content.edited > 0 ? t('cards.content.altEdited', { count: content.edited }) : '',
+                languages ? t('cards.content.altLanguages', { languages }) : ''
+            ];
+
+            return {
+                gradient: ['#4facfe', '#00f2fe'],
+                header,
+                value: coverage || '–',
+                label: coverage ? t('cards.content.label') : t('cards.content.noMedia'),
+                extraList: lines,
+                filters: altText.total > 0 ? [browse(t('cards.content.withMedia'), { media: true })] : [],
+                altText: altParts.filter(Boolean).join(' ')
+            };
+        };
+
+        /**
+         * @param {number} minutes
+         * @returns {string} z.B. "12 Minuten", "3 Stunden" oder "2 Tage"
+         */
+        const formatMinutes = (minutes) => {
+            if (minutes < 60) return t('duration.minutes', { count: Math.round(minutes) });
+            if (minutes < 48 * 60) return t('duration.hours', { count: Math.round(minutes / 60) });
+            return t('duration.days', { count: Math.round(minutes / (24 * 60)) });
+        };
+
+        /**
+         * Karten aus den importierten Benachrichtigungen.
+         * @param {EngagementStats} engagement
+         * @param {string} header
+         * @param {string} phrase Zeitraum als Satzteil
+         * @returns {Object<string, WrappedCard>}
+         */
+        const engagementCards = (engagement, header, phrase) => {
+            const fanDetail = (fan) => ['favourites', 'reblogs', 'mentions']
+                .filter(field => fan[field] > 0)
+                .map(field => t(`cards.fans.${field}`, { count: fan[field] }))
+                .join(' · ');
+            const peak = engagement.followers.reduce((best, entry) => entry.follows > (best?.follows || 0) ? entry : best, null);
+            const { busiestDay, firstReaction } = engagement;
+
+            return {
+                followers: {
+                    gradient: ['#43e97b', '#38f9d7'],
+                    header,
+                    value: '',
+                    label: t('cards.followers.label'),
+                    timeline: engagement.followers,
+                    series: [{ field: 'follows', label: t('cards.followers.series'), alpha: 1 }],
+                    extra: t('cards.followers.total', { count: engagement.newFollowers }),
+                    altText: [
+                        t('cards.followers.alt', { period: phrase, count: engagement.newFollowers }),
+                        peak ? t('cards.followers.peak', { month: formatMonthKey(peak.month, intlLocale.value, 'long', true), count: peak.follows }) : ''
+                    ].join(' ').trim()
+                },
+                fans: {
+                    gradient: ['#f093fb', '#f5576c'],
+                    header,
+                    value: '',
+                    label: t('cards.fans.label'),
+                    circle: engagement.topFans.map(fan => ({ acct: fan.acct, detail: fanDetail(fan), total: fan.total })),
+                    altText: t('cards.fans.alt', {
+                        period: phrase,
+                        list: engagement.topFans.map(fan => `@${fan.acct} (${fanDetail(fan)})`).join(', ')
+                    })
+                },
+                engagement: {
+                    gradient: ['#fa709a', '#fee140'],
+                    header,
+                    value: busiestDay.date ? formatDateKey(busiestDay.date, intlLocale.value) : '–',
+                    label: t('cards.engagement.label'),
+                    extraList: [
+                        t('cards.engagement.day', { count: busiestDay.count }),
+                        t('cards.engagement.total', { count: engagement.total }),
+                        ...(engagement.polls > 0 ? [t('cards.engagement.polls', { count: engagement.polls })] : [])
+                    ],
+                    altText: t('cards.engagement.alt', {
+                        period: phrase,
+                        date: busiestDay.date ? formatDateKey(busiestDay.date, intlLocale.value) : '–',
+                        count: busiestDay.count,
+                        total: engagement.total
+                    })
+                },
+                reactions: {
+                    gradient: ['#4facfe', '#00f2fe'],
+                    header,
+                    value: formatMinutes(firstReaction.median),
+                    label: t('cards.reactions.label'),
+                    extraList: [
+                        t('cards.reactions.fastest', { duration: formatMinutes(firstReaction.fastest) }),
+                        t('cards.reactions.count', { count: firstReaction.count })
+                    ],
+                    altText: t('cards.reactions.alt', {
+                        period: phrase,
+                        median: formatMinutes(firstReaction.median),
+                        fastest: formatMinutes(firstReaction.fastest),
+                        count: firstReaction.count
+                    })
+                }
+            };
+        };
+
+        /**
+         * Karten zum Vergleich mit einem anderen Zeitraum.
+         * @param {WrappedStats} data
+         * @param {{period: WrappedPeriod, stats: WrappedStats}} comparison
+         * @returns {Object<string, WrappedCard>}
+         */
+        const comparisonCards = (data, comparison) => {
+            const previous = comparison.stats;
+            const previousLabel = formatPeriod(comparison.period);
+            const header = t('wrapped.header', { period: t('cards.compare.versus', { current: periodLabel.value, previous: previousLabel }) });
+            const percent = new Intl.NumberFormat(intlLocale.value, { style: 'percent', maximumFractionDigits: 0, signDisplay: 'exceptZero' });
+            const change = (current, before) => {
+                if (before === 0) return current > 0 ? t('cards.compare.new') : percent.format(0);
+                return percent.format((current - before) / before);
+            };
+
+            const metrics = {
+                toots: 'totalToots',
+                words: 'totalWords',
+                activeDays: 'activeDays',
+                replies: 'replies',
+                favourites: 'totalFavorites',
+                reblogs: 'totalReblogs'
+            };
+            const entries = Object.entries(metrics).map(([name, field]) => t('cards.compare.entry', {
+                label: t(`cards.compare.metrics.${name}`),
+                previous: formatNumber(previous[field]),
+                current: formatNumber(data[field]),
+                change: change(data[field], previous[field])
+            }));
+
+            const shift = (key, from, to) => from === to
+                ? t(`cards.shifts.${key}Same`, { value: to })
+                : t(`cards.shifts.${key}`, { from, to });
+            const typeFrom = t(`cards.shifts.types.${chronotype(previous.timeDistribution)}`);
+            const typeTo = t(`cards.shifts.types.${chronotype(data.timeDistribution)}`);
+            const shifts = [
+                shift('day', formatWeekday(previous.mostActiveDay, intlLocale.value), formatWeekday(data.mostActiveDay, intlLocale.value)),
+                shift('hour', `${previous.mostActiveHour}`, `${data.mostActiveHour}`),
+                shift('length', formatNumber(previous.avgLength), formatNumber(data.avgLength))
+            ];
+            if (previous.topHashtags.length > 0 && data.topHashtags.length > 0) {
+                shifts.unshift(shift('hashtag', previous.topHashtags[0].tag, data.topHashtags[0].tag));
+            }
+
+            return {
+                compare: {
+                    gradient: ['#fa709a', '#fee140'],
+                    header,
+                    value: change(data.totalToots, previous.totalToots),
+                    label: t('cards.compare.label', { period: previousLabel }),
+                    extraList: entries,
+                    altText: t('cards.compare.alt', { period: periodLabel.value, previous: previousLabel, list: entries.join(', ') })
+                },
+                shifts: {
+                    gradient: ['#667eea', '#764ba2'],
+                    header,
+                    value: typeFrom === typeTo ? typeTo : `${typeFrom} → ${typeTo}`,
+                    label: t('cards.shifts.label', { period: previousLabel }),
+                    extraList: shifts,
+                    altText: t('cards.shifts.alt', {
+                        period: periodLabel.value,
+                        previous: previousLabel,
+                        list: [shift('type', typeFrom, typeTo), ...shifts].join('; ')
+                    })
+                }
+            };
+        };
+
+        /**
+         * Bricht einen Text auf die angegebene Breite um. Wörter, die allein zu breit sind (z.B. URLs),
+         * werden zeichenweise getrennt. Bei mehr als `maxLines` Zeilen endet die letzte mit "…".
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {string} text
+         * @param {number} maxWidth
+         * @param {number} [maxLines]
+         * @returns {string[]}
+         */
+        const wrapLines = (ctx, text, maxWidth, maxLines = Infinity) => {
+            const lines = [];
+            let line = '';
+
+            const pushWord = (word) => {
+                const testLine = line ? `${line} ${word}` : word;
+                if (ctx.measureText(testLine).width <= maxWidth) {
+                    line = testLine;
+                    return;
+                }
+                if (line) lines.push(line);
+                line = '';
+                // Überlange Wörter zeichenweise umbrechen
+                for (const char of word) {
+                    if (ctx.measureText(line + char).width > maxWidth && line) {
+                        lines.push(line);
+                        line = '';
+                    }
+                    line += char;
+                }
+            };
+
+            text.split(/\s+/).filter(word => word.length > 0).forEach(pushWord);
+            if (line) lines.push(line);
+
+            if (lines.length > maxLines) {
+                const visible = lines.slice(0, maxLines);
+                let last = visible[maxLines - 1];
+                while (last && ctx.measureText(`${last}…`).width > maxWidth) last = last.slice(0, -1);
+                visible[maxLines - 1] = `${last.trimEnd()}…`;
+                return visible;
+            }
+            return lines;
+        };
+
+        /**
+         * Zeichnet einen Monatsverlauf als gestapelte Balken mit Legende, ohne Angabe der Reihen
+         * Toots, Antworten und Re-Toots.
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {Array<{month: string}>} timeline
+         * @param {Array<{field: string, label: string, alpha: number}>} [series]
+         */
+        const drawTimeline = (ctx, timeline, series = [
+            { field: 'originals', label: t('cards.timeline.originals'), alpha: 1 },
+            { field: 'replies', label: t('cards.timeline.replies'), alpha: 0.65 },
+            { field: 'boosts', label: t('cards.timeline.boosts'), alpha: 0.35 }
+        ]) => {
+            const left = 100;
+            const width = 880;
+            const baseline = 720;
+            const chartHeight = 380;
+            const max = Math.max(1, ...timeline.map(entry => series.reduce((sum, { field }) => sum + entry[field], 0)));
+            const slot = width / Math.max(1, timeline.length);
+            const barWidth = slot * 0.7;
+
+            ctx.save();
+            ctx.font = cardFont(24);
+            timeline.forEach((entry, i) => {
+                const x = left + i * slot + (slot - barWidth) / 2;
+                let y = baseline;
+                series.forEach(({ field, alpha }) => {
+                    const height = (entry[field] / max) * chartHeight;
+                    ctx.globalAlpha = alpha;
+                    ctx.fillRect(x, y - height, barWidth, height);
+                    y -= height;
+                });
+
+                ctx.globalAlpha = 0.9;
+                ctx.fillText(formatMonthKey(entry.month, intlLocale.value, 'short').replace('.', ''), x + barWidth / 2, baseline + 34);
+            });
+
+            // Grundlinie
+            ctx.globalAlpha = 0.6;
+            ctx.fillRect(left, baseline, width, 2);
+
+            // Legende
+            ctx.font = cardFont(28);
+            ctx.textAlign = 'left';
+            let legendX = 1080 / 2 - (series.length > 1 ? 230 : 60);
+            series.forEach(({ label, alpha }) => {
+                ctx.globalAlpha = alpha;
+                ctx.fillRect(legendX, 810, 28, 28);
+                ctx.globalAlpha = 0.9;
+                ctx.fillText(label, legendX + 38, 834);
+                legendX += 60 + ctx.measureText(label).width;
+            });
+            ctx.restore();
+        };
+
+        /**
+         * Zeichnet den Jahreskalender: eine Spalte pro Woche (Mo–So), Helligkeit in vier Stufen.
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {{start: string, counts: number[]}} calendar
+         */
+        const drawCalendar = (ctx, calendar) => {
+            const cell = 16;
+            const gap = 2;
+            const top = 420;
+            const startWeekday = (new Date(`${calendar.start}T00:00:00Z`).getUTCDay() + 6) % 7;
+            const weeks = Math.ceil((startWeekday + calendar.counts.length) / 7);
+            const left = (1080 - weeks * (cell + gap)) / 2 + 20;
+            const max = Math.max(1, ...calendar.counts);
+            const levelAlpha = [0.12, 0.35, 0.55, 0.75, 1];
+
+            ctx.save();
+            ctx.font = cardFont(20);
+            ctx.textAlign = 'right';
+            ctx.globalAlpha = 0.9;
+            [0, 2, 4].forEach(weekday => {
+                ctx.fillText(t('weekdays.short')[weekday], left - 8, top + weekday * (cell + gap) + cell - 2);
+            });
+
+            ctx.textAlign = 'left';
+            calendar.counts.forEach((count, i) => {
+                const slot = startWeekday + i;
+                const column = Math.floor(slot / 7);
+                const row = slot % 7;
+                const x = left + column * (cell + gap);
+                const dateKey = addDays(calendar.start, i);
+
+                // Monatsbeschriftung über der ersten Woche eines Monats
+                if (dateKey.endsWith('-01') || (i === 0 && Number(dateKey.slice(8)) <= 20)) {
+                    ctx.globalAlpha = 0.9;
+                    ctx.fillText(formatMonthKey(dateKey.slice(0, 7), intlLocale.value, 'short'), x, top - 12);
+                }
+
+                const level = count === 0 ? 0 : Math.ceil((count / max) * 4);
+                ctx.globalAlpha = levelAlpha[level];
+                ctx.fillRect(x, top + row * (cell + gap), cell, cell);
+            });
+
+            // Legende
+            const legendY = top + 7 * (cell + gap) + 30;
+            const legendLeft = 1080 / 2 - (levelAlpha.length * (cell + gap)) / 2;
+            ctx.globalAlpha = 0.9;
+            ctx.textAlign = 'right';
+            ctx.fillText(t('chart.less'), legendLeft - 10, legendY + cell - 2);
+            levelAlpha.forEach((alpha, i) => {
+                ctx.globalAlpha = alpha;
+                ctx.fillRect(legendLeft + i * (cell + gap), legendY, cell, cell);
+            });
+            ctx.globalAlpha = 0.9;
+            ctx.textAlign = 'left';
+            ctx.fillText(t('chart.more'), legendLeft + levelAlpha.length * (cell + gap) + 10, legendY + cell - 2);
+            ctx.restore();
+        };
+
+        /**
+         * Zeichnet die Wochentag×Stunde-Heatmap mit Achsenbeschriftung und Legende.
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {number[][]} heatmap
+         */
+        const drawHeatmap = (ctx, heatmap) => {
+            const left = 120;
+            const top = 300;
+            const cell = 36;
+            const gap = 2;
+            const max = Math.max(1, ...heatmap.flat());
+
+            ctx.save();
+            ctx.font = cardFont(28, 'bold');
+            ctx.textAlign = 'right';
+            heatmap.forEach((hours, weekday) => {
+                const y = top + weekday * (cell + gap);
+                ctx.globalAlpha = 0.9;
+                ctx.fillText(t('weekdays.short')[weekday], left - 14, y + cell - 9);
+                hours.forEach((count, hour) => {
+                    // Leere Felder bleiben leicht sichtbar, damit das Raster erkennbar ist
+                    ctx.globalAlpha = count === 0 ? 0.1 : 0.25 + 0.75 * (count / max);
+                    ctx.fillRect(left + hour * (cell + gap), y, cell, cell);
+                });
+            });
+
+            ctx.globalAlpha = 0.9;
+            ctx.textAlign = 'center';
+            ctx.font = cardFont(24);
+            const axisY = top + 7 * (cell + gap) + 30;
+            for (let hour = 0; hour < 24; hour += 3) {
+                ctx.fillText(`${hour}`, left + hour * (cell + gap) + cell / 2, axisY);
+            }
+
+            // Legende
+            const legendY = axisY + 50;
+            const steps = [0, 0.25, 0.5, 0.75, 1];
+            const legendLeft = 1080 / 2 - (steps.length * (cell + gap)) / 2;
+            ctx.textAlign = 'right';
+            ctx.fillText(t('chart.less'), legendLeft - 14, legendY + cell - 10);
+            steps.forEach((step, i) => {
+                ctx.globalAlpha = step === 0 ? 0.1 : 0.25 + 0.75 * step;
+                ctx.fillRect(legendLeft + i * (cell + gap), legendY, cell, cell);
+            });
+            ctx.globalAlpha = 0.9;
+            ctx.textAlign = 'left';
+            ctx.fillText(t('chart.more'), legendLeft + steps.length * (cell + gap) + 14, legendY + cell - 10);
+            ctx.restore();
+        };
+
+        /**
+         * Rundes Profilbild, ohne Bild ein Kreis mit dem Anfangsbuchstaben.
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {ImageBitmap|null|undefined} image
+         * @param {string} name
+         * @param {number} x Mittelpunkt
+         * @param {number} y Mittelpunkt
+         * @param {number} size Durchmesser
+         */
+        const drawAvatar = (ctx, image, name, x, y, size) => {
+            ctx.save();
+            ctx.beginPath();
+            ctx.arc(x, y, size / 2, 0, 2 * Math.PI);
+            if (image) {
+                ctx.clip();
+                ctx.globalAlpha = 1;
+                ctx.drawImage(image, x - size / 2, y - size / 2, size, size);
+            } else {
+                ctx.globalAlpha = 0.25;
+                ctx.fill();
+                ctx.globalAlpha = 1;
+                ctx.textAlign = 'center';
+                ctx.font = cardFont(Math.round(size * 0.45), 'bold');
+                ctx.fillText([...name][0]?.toUpperCase() || '?', x, y + size * 0.16);
+            }
+            ctx.restore();
+        };
+
+        /**
+         * Zeichnet den inneren Kreis als Liste mit Profilbildern oder als Netzwerk um das eigene Profilbild.
+         * Die Linienstärke im Netzwerk entspricht der Zahl der Interaktionen.
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {WrappedCard} card
+         */
+        const drawCircle = (ctx, card) => {
+            ctx.save();
+            if (card.graph) {
+                const centerX = CARD_SIZE / 2;
+                const centerY = 570;
+                const radius = 250;
+                const max = Math.max(1, ...card.circle.map(entry => entry.total));
+                const nodes = card.circle.map((entry, i) => {
+                    const angle = (2 * Math.PI * i) / card.circle.length - Math.PI / 2;
+                    return { ...entry, x: centerX + radius * Math.cos(angle), y: centerY + radius * Math.sin(angle) };
+                });
+
+                ctx.strokeStyle = ctx.fillStyle;
+                ctx.globalAlpha = 0.5;
+                nodes.forEach(node => {
+                    ctx.lineWidth = 2 + 12 * (node.total / max);
+                    ctx.beginPath();
+                    ctx.moveTo(centerX, centerY);
+                    ctx.lineTo(node.x, node.y);
+                    ctx.stroke();
+                });
+
+                drawAvatar(ctx, avatarImage, username.value, centerX, centerY, 120);
+                ctx.textAlign = 'center';
+                nodes.forEach(node => {
+                    drawAvatar(ctx, circleAvatars[node.acct.toLowerCase()], node.acct, node.x, node.y, 84);
+                    const handle = `@${node.acct.split('@')[0]}`;
+                    ctx.globalAlpha = 0.9;
+                    fitFont(ctx, handle, 220, 24, 16, 'bold');
+                    ctx.fillText(handle, node.x, node.y + 68);
+                });
+            } else {
+                const rowHeight = 72;
+                const left = 170;
+                const textLeft = left + 80;
+                const width = CARD_SIZE - textLeft - CARD_MARGIN;
+                let y = 330;
+                card.circle.slice(0, 7).forEach(entry => {
+                    drawAvatar(ctx, circleAvatars[entry.acct.toLowerCase()], entry.acct, left + 30, y, 60);
+                    ctx.textAlign = 'left';
+                    ctx.globalAlpha = 1;
+                    fitFont(ctx, `@${entry.acct}`, width, 30, 18, 'bold');
+                    ctx.fillText(`@${entry.acct}`, textLeft, y - 4);
+                    ctx.globalAlpha = 0.85;
+                    fitFont(ctx, entry.detail, width, 22, 16);
+                    ctx.fillText(entry.detail, textLeft, y + 24);
+                    y += rowHeight + 8;
+                });
+            }
+            ctx.restore();
+        };
+
+        /** Karten sind quadratisch, Stories im Hochformat 9:16 */
+        const CARD_SIZE = 1080;
+        const STORY_HEIGHT = 1920;
+        /** Seitenrand, innerhalb dessen Text automatisch verkleinert oder umbrochen wird */
+        const CARD_MARGIN = 60;
+        const CONTENT_WIDTH = CARD_SIZE - 2 * CARD_MARGIN;
+        /** Bereich zwischen Überschrift und Fußzeile, in dem Wert, Label und Zusatzzeilen zentriert werden */
+        const CONTENT_TOP = 200;
+        const CONTENT_BOTTOM = 900;
+
+        /**
+         * @param {number} size
+         * @param {string} [style] z.B. "bold" oder "italic"
+         * @returns {string} CSS-Schriftangabe in der Schrift des Designs
+         */
+        const cardFont = (size, style = '') => `${style} ${size}px "${theme.value.font}", Arial, sans-serif`.trim();
+
+        /**
+         * Setzt die größte Schriftgröße zwischen maxSize und minSize, in der der Text in maxWidth passt.
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {string} text
+         * @param {number} maxWidth
+         * @param {number} maxSize
+         * @param {number} minSize
+         * @param {string} [style]
+         * @returns {number} gewählte Schriftgröße
+         */
+        const fitFont = (ctx, text, maxWidth, maxSize, minSize, style = '') => {
+            let size = maxSize;
+            ctx.font = cardFont(size, style);
+            while (size > minSize && ctx.measureText(text).width > maxWidth) {
+                size = Math.max(minSize, Math.floor(size * 0.92));
+                ctx.font = cardFont(size, style);
+            }
+            return size;
+        };
+
+        /**
+         * Zusatzzeilen unter Diagrammen: extra wird umbrochen, jede Zeile von extraList auf die Breite eingepasst.
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {WrappedCard} card
+         * @param {number} top
+         */
+        const drawExtras = (ctx, card, top) => {
+            ctx.globalAlpha = 0.9;
+            let y = top;
+            if (card.extra) {
+                ctx.font = cardFont(32);
+                wrapLines(ctx, card.extra, CONTENT_WIDTH, 2).forEach(line => {
+                    ctx.fillText(line, CARD_SIZE / 2, y);
+                    y += 40;
+                });
+            }
+            (card.extraList || []).forEach(line => {
+                fitFont(ctx, line, CONTENT_WIDTH, 32, 20);
+                ctx.fillText(line, CARD_SIZE / 2, y);
+                y += 40;
+            });
+            ctx.globalAlpha = 1;
+        };
+
+        /**
+         * Wert, Label und Zusatzzeilen als Block, senkrecht zwischen Überschrift und Fußzeile zentriert.
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {WrappedCard} card
+         */
+        const drawValueLayout = (ctx, card) => {
+            /** @type {Array<{text: string, font: string, height: number, alpha: number}>} */
+            const rows = [];
+            const addRow = (text, size, style, alpha, spacing = 1.2) => {
+                rows.push({ text, font: cardFont(size, style), height: size * spacing, alpha });
+            };
+
+            const value = `${card.value}`;
+            if (value) {
+                // Lange Werte (z.B. Hashtags) werden verkleinert und notfalls auf zwei Zeilen umbrochen
+                const size = fitFont(ctx, value, CONTENT_WIDTH, 220, 72, 'bold');
+                wrapLines(ctx, value, CONTENT_WIDTH, 2).forEach(line => addRow(line, size, 'bold', 1, 1.1));
+            }
+            if (card.label) {
+                addRow(card.label, fitFont(ctx, card.label, CONTENT_WIDTH, 50, 28, 'bold'), 'bold', 0.95, 1.6);
+            }
+            if (card.extra) {
+                ctx.font = cardFont(32);
+                wrapLines(ctx, card.extra, CONTENT_WIDTH, 3).forEach(line => addRow(line, 32, '', 0.9, 1.25));
+            }
+            (card.extraList || []).forEach(line => {
+                addRow(line, fitFont(ctx, line, CONTENT_WIDTH, 32, 20), '', 0.9, 40 / 32);
+            });
+
+            const total = rows.reduce((sum, row) => sum + row.height, 0);
+            let y = CONTENT_TOP + Math.max(0, (CONTENT_BOTTOM - CONTENT_TOP - total) / 2);
+            rows.forEach(row => {
+                ctx.font = row.font;
+                ctx.globalAlpha = row.alpha;
+                // Grundlinie etwa bei 80 % der Zeilenhöhe
+                ctx.fillText(row.text, CARD_SIZE / 2, y + row.height * 0.8);
+                y += row.height;
+            });
+            ctx.globalAlpha = 1;
+        };
+
+        /**
+         * Fußzeile mit Handle, im Design optional mit Profilbild und Anzeigename.
+         * @param {CanvasRenderingContext2D} ctx
+         */
+        const drawFooter = (ctx) => {
+            const handle = `@${activeAccount.value}`;
+            ctx.globalAlpha = 0.8;
+            if (!theme.value.showProfile || !(profile.value.displayName || avatarImage)) {
+                fitFont(ctx, handle, CONTENT_WIDTH, 35, 20, 'bold');
+                ctx.fillText(handle, CARD_SIZE / 2, 980);
+                ctx.globalAlpha = 1;
+                return;
+            }
+
+            const avatarSize = avatarImage ? 72 : 0;
+            const gap = avatarImage ? 20 : 0;
+            const name = profile.value.displayName || username.value;
+            const nameSize = fitFont(ctx, name, CONTENT_WIDTH - avatarSize - gap, 32, 20, 'bold');
+            const nameWidth = ctx.measureText(name).width;
+            ctx.font = cardFont(24);
+            const textWidth = Math.max(nameWidth, Math.min(ctx.measureText(handle).width, CONTENT_WIDTH - avatarSize - gap));
+            const left = (CARD_SIZE - avatarSize - gap - textWidth) / 2;
+
+            if (avatarImage) {
+                ctx.save();
+                ctx.globalAlpha = 1;
+                ctx.beginPath();
+                ctx.arc(left + avatarSize / 2, 965, avatarSize / 2, 0, 2 * Math.PI);
+                ctx.clip();
+                ctx.drawImage(avatarImage, left, 965 - avatarSize / 2, avatarSize, avatarSize);
+                ctx.restore();
+            }
+
+            ctx.save();
+            ctx.textAlign = 'left';
+            ctx.font = cardFont(nameSize, 'bold');
+            ctx.fillText(name, left + avatarSize + gap, 958);
+            ctx.font = cardFont(24);
+            ctx.fillText(handle, left + avatarSize + gap, 995, textWidth);
+            ctx.restore();
+            ctx.globalAlpha = 1;
+        };
+
+        /**
+         * Zeichnet eine Karte im gewählten Design in ein 1080×1080-Koordinatensystem.
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {WrappedCard} card
+         * @param {boolean} [withBackground] false, wenn der Hintergrund schon gezeichnet ist (Story)
+         */
+        const drawCard = (ctx, card, withBackground = true) => {
+            const colors = cardTheme.value.background || card.gradient;
+            if (withBackground) {
+                const gradient = ctx.createLinearGradient(0, 0, CARD_SIZE, CARD_SIZE);
+                gradient.addColorStop(0, colors[0]);
+                gradient.addColorStop(1, colors[1]);
+                ctx.fillStyle = gradient;
+                ctx.fillRect(0, 0, CARD_SIZE, CARD_SIZE);
+            }
+
+            ctx.fillStyle = cardTheme.value.text;
+            ctx.textAlign = 'center';
+
+            // Header
+            ctx.globalAlpha = 0.9;
+            fitFont(ctx, card.header || 'MASTODON WRAPPED', CONTENT_WIDTH, 40, 24, 'bold');
+            ctx.fillText(card.header || 'MASTODON WRAPPED', CARD_SIZE / 2, 150);
+            ctx.globalAlpha = 1;
+
+            if (card.timeline || card.calendar || card.heatmap || card.toots || card.circle) {
+                fitFont(ctx, card.label, CONTENT_WIDTH, 60, 32, 'bold');
+                ctx.fillText(card.label, CARD_SIZE / 2, 250);
+            }
+
+            if (card.timeline) {
+                drawTimeline(ctx, card.timeline, card.series);
+                drawExtras(ctx, card, 900);
+            } else if (card.calendar) {
+                drawCalendar(ctx, card.calendar);
+                drawExtras(ctx, card, 780);
+            } else if (card.heatmap) {
+                drawHeatmap(ctx, card.heatmap);
+                drawExtras(ctx, card, 780);
+            } else if (card.circle) {
+                drawCircle(ctx, card);
+            } else if (card.toots) {
+                // Toot-Liste: je Toot eine Meta-Zeile und ein umbrochener Auszug
+                let y = 350;
+                if (card.toots.length === 0) {
+                    ctx.globalAlpha = 0.9;
+                    fitFont(ctx, card.value, CONTENT_WIDTH, 36, 24);
+                    ctx.fillText(card.value, CARD_SIZE / 2, 540);
+                    ctx.globalAlpha = 1;
+                }
+                card.toots.forEach(toot => {
+                    fitFont(ctx, toot.meta, CONTENT_WIDTH, 34, 22, 'bold');
+                    ctx.fillText(toot.meta, CARD_SIZE / 2, y);
+                    y += 46;
+
+                    ctx.font = cardFont(30, 'italic');
+                    ctx.globalAlpha = 0.9;
+                    wrapLines(ctx, toot.excerpt, 900, 3).forEach(line => {
+                        ctx.fillText(line, CARD_SIZE / 2, y);
+                        y += 38;
+                    });
+                    ctx.globalAlpha = 1;
+                    y += 40;
+                });
+            } else {
+                drawValueLayout(ctx, card);
+            }
+
+            drawFooter(ctx);
+        };
+
+        /**
+         * @param {HTMLCanvasElement} canvas
+         * @param {string} [mimeType]
+         * @param {number} [quality]
+         * @returns {Promise<Blob>}
+         */
+        const canvasBlob = (canvas, mimeType = 'image/png', quality) => new Promise((resolve, reject) => canvas.toBlob(blob => {
+            // null, wenn das Canvas zu groß ist oder fremde Bilder ohne CORS enthält
+            if (blob) resolve(blob);
+            else reject(new TranslatableError('errors.canvasBlob'));
+        }, mimeType, quality));
+
+        /**
+         * @param {Blob} blob
+         * @param {string} filename
+         */
+        const saveBlob = (blob, filename) => {
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            a.click();
+            URL.revokeObjectURL(url);
+        };
+
+        /**
+         * @param {WrappedCard} card
+         * @param {string} type
+         * @returns {Promise<void>}
+         */
+        const createAndDownloadImage = async (card, type, download = true) => {
+            let canvas;
+            if (document.querySelector(`#canvas-${type}`)) {
+                canvas = document.getElementById(`canvas-${type}`);
+            } else {
+                canvas = document.createElement('canvas');
+            }
+            canvas.width = CARD_SIZE;
+            canvas.height = CARD_SIZE;
+            drawCard(canvas.getContext('2d'), card);
+            if (!download) {
+                return
+            }
+            saveBlob(await canvasBlob(canvas), `mastodon-wrapped-${type}-${username.value}.png`);
+        };
+
+        const downloadAllCards = async () => {
+            for (const type of cardsList.value) {
+                await downloadWrappedCard(type);
+                await new Promise(resolve => setTimeout(resolve, 500));
+            }
+        };
+
+        // Theme Functions
+        /**
+         * Zeichnet alle Karten und Vorschaubilder neu, ohne die Statistiken neu zu berechnen (Live-Vorschau beim Design).
+         */
+        const redrawCards = () => {
+            if (!wrappedData.value) return;
+            cardsList.value.forEach(type => {
+                if (cardsValue.value[type]) createAndDownloadImage(cardsValue.value[type], type, false);
+            });
+            updatePreviews();
+        };
+
+        // Card Picker Functions
+        const PREVIEW_SIZE = 160;
 
-                instanceUrl.value = '';
-                clientId.value = null;
-                clientSecret.value = null;
-                accessToken.value = null;
-                username.value = '';
-                userId.value = null;
-                isAuthenticated.value = false;
-                importComplete.value = false;
-                totalToots.value = 0;
-                toots.value = [];
-                showToots.value = false;
-                wrappedData.value = null;
-                existingTootsCount.value = 0;
-            }
+        const updatePreviews = () => {
+            const previews = {};
+            cardOrder.value.forEach(type => {
+                if (!cardsValue.value[type]) return;
+                const canvas = document.createElement('canvas');
+                canvas.width = PREVIEW_SIZE;
+                canvas.height = PREVIEW_SIZE;
+                const ctx = canvas.getContext('2d');
+                ctx.scale(PREVIEW_SIZE / CARD_SIZE, PREVIEW_SIZE / CARD_SIZE);
+                drawCard(ctx, cardsValue.value[type]);
+                previews[type] = canvas.toDataURL('image/png');
+            });
+            cardPreviews.value = previews;
         };
 
-        // Wrapped Functions
-        const generateWrapped = async () => {
-            isGenerating.value = true;
+        /**
+         * @param {string} type
+         * @returns {boolean} true, wenn die Karte mangels Daten ausgeblendet wird
+         */
+        const isEmptyCard = (type) => !!wrappedData.value && isCardEmpty(type, wrappedData.value);
 
-            await new Promise(resolve => setTimeout(resolve, 500));
+        /**
+         * @param {string} type
+         */
+        const toggleCard = (type) => {
+            hiddenCards.value = hiddenCards.value.includes(type)
+                ? hiddenCards.value.filter(hidden => hidden !== type)
+                : [...hiddenCards.value, type];
+        };
 
-            try {
-                const allToots = await getAllFromDb('toots');
-
-                // Re-Toots rausfiltern
-                const filteredToots = allToots.filter(toot => !toot?.reblog);
-
-                const stats = {
-                    totalToots: filteredToots.length,
-                    totalRetoots: allToots.length - filteredToots.length,
-                    avgLength: 0,
-                    withMedia: 0,
-                    topHashtags: [],
-                    replies: 0,
-                    mostActiveHour: 0,
-                    mostActiveDay: '',
-                    longestStreak: 0,
-                    longestToot: 0,
-                    shortestToot: Infinity,
-                    medianLength: 0,
-                    totalWords: 0,
-                    avgWords: 0,
-                    timeDistribution: { morning: 0, afternoon: 0, evening: 0, night: 0 },
-                    totalLinks: 0,
-                    totalMentions: 0,
-                    boosts: 0,
-                    privateToots: 0,
-                    mostActiveMonth: { name: '', count: 0 },
-                    totalFavorites: 0,
-                    totalReblogs: 0
-                };
+        /**
+         * Verschiebt eine Karte um eine Position, Alternative zum Ziehen per Tastatur.
+         * @param {string} type
+         * @param {-1|1} offset
+         */
+        const moveCard = (type, offset) => {
+            const order = [...cardOrder.value];
+            const index = order.indexOf(type);
+            const target = index + offset;
+            if (target < 0 || target >= order.length) return;
+            [order[index], order[target]] = [order[target], order[index]];
+            cardOrder.value = order;
+        };
 
-                let totalChars = 0;
-                const hashtagMap = {};
-                const hourMap = {};
-                const dayMap = {};
-                const monthMap = {};
-                const lengths = [];
-                let totalWords = 0;
-
-
-                filteredToots.forEach(toot => {
-                    const text = toot.content.replace(/<[^>]*>/g, '');
-                    console.log(text);
-                    const length = text.length;
-                    totalChars += length;
-                    lengths.push(length);
-
-                    // Längster und kürzester Toot
-                    if (length > stats.longestToot) stats.longestToot = length;
-                    if (length < stats.shortestToot && length > 0) stats.shortestToot = length;
-
-                    // Wörter zählen
-                    const words = text.trim().split(/\s+/).filter(w => w.length > 0);
-                    totalWords += words.length;
-
-                    // Medien
-                    if (toot.media_attachments && toot.media_attachments.length > 0) {
-                        stats.withMedia++;
-                    }
+        /**
+         * Legt die gezogene Karte vor der Zielkarte ab.
+         * @param {string} target
+         */
+        const dropCard = (target) => {
+            const type = draggedCard.value;
+            draggedCard.value = null;
+            if (!type || type === target) return;
+            const order = cardOrder.value.filter(entry => entry !== type);
+            order.splice(order.indexOf(target), 0, type);
+            cardOrder.value = order;
+        };
 
-                    // Replies
-                    if (toot.in_reply_to_id) {
-                        stats.replies++;
-                    }
+        watch([cardOrder, hiddenCards], async () => {
+            await saveToDb('config', { key: 'cards', order: [...cardOrder.value], hidden: [...hiddenCards.value] });
+            // Neu eingeblendete Karten bekommen erst nach dem Rendern ein Canvas
+            await nextTick();
+            redrawCards();
+        });
 
-                    // Boosts
-                    if (toot.reblog) {
-                        stats.boosts++;
-                    }
+        /**
+         * Farben aus dem Web-App-Manifest der Instanz. Mastodon setzt beide auf dasselbe Dunkelgrau,
+         * dann wird der Verlauf mit der Mastodon-Farbe ergänzt.
+         */
+        const loadBrandColors = async () => {
+            brandColors.value = MASTODON_BRAND;
+            try {
+                const response = await fetch(`${instanceUrl.value}/manifest.json`);
+                if (!response.ok) return;
+                const manifest = await response.json();
+                const colors = [manifest.theme_color, manifest.background_color].filter(color => /^#[0-9a-f]{6}$/i.test(color || ''));
+                if (colors.length === 0) return;
+                brandColors.value = [colors[0], colors[1] && colors[1] !== colors[0] ? colors[1] : MASTODON_BRAND[0]];
+            } catch (err) {
+                // Ohne Manifest oder CORS bleiben die Mastodon-Farben
+            }
+        };
 
-                    // Private Toots
-                    if (toot.visibility === 'private' || toot.visibility === 'direct') {
-                        stats.privateToots++;
+        /**
+         * Lädt Anzeigename und Profilbild. Fehlen sie beim Konto, werden sie über verify_credentials nachgeladen.
+         */
+        const loadProfile = async () => {
+            if (canImport.value && !profile.value.avatar) {
+                try {
+                    const response = await fetch(`${instanceUrl.value}/api/v1/accounts/verify_credentials`, {
+                        headers: { 'Authorization': `Bearer ${accessToken.value}` }
+                    });
+                    ensureAuthorized(response);
+                    if (response.ok) {
+                        const user = await response.json();
+                        profile.value = { displayName: plainDisplayName(user.display_name), avatar: user.avatar_static || null };
+                        const auth = await getFromDb('config', `auth:${activeAccount.value}`);
+                        await saveToDb('config', { ...auth, ...profile.value });
                     }
+                } catch (err) {
+                    // Ohne Profil zeigt die Fußzeile nur das Handle
+                }
+            }
 
-                    // Links zählen
-                    const linkMatches = text.match(/https?:\/\/[^\s]+/g);
-                    if (linkMatches) stats.totalLinks += linkMatches.length;
-
-                    // Erwähnungen zählen
-                    const mentionMatches = text.match(/@\w+/g);
-                    if (mentionMatches) stats.totalMentions += mentionMatches.length;
-
-                    // Zeit-Analyse
-                    const date = new Date(toot.created_at);
-                    const hour = date.getHours();
-                    const dayName = date.toLocaleDateString('de-DE', { weekday: 'long' });
-                    const monthName = date.toLocaleDateString('de-DE', { month: 'long' });
-
-                    hourMap[hour] = (hourMap[hour] || 0) + 1;
-                    dayMap[dayName] = (dayMap[dayName] || 0) + 1;
-                    monthMap[monthName] = (monthMap[monthName] || 0) + 1;
-
-                    // Tageszeit-Verteilung
-                    if (hour >= 6 && hour < 12) stats.timeDistribution.morning++;
-                    else if (hour >= 12 && hour < 18) stats.timeDistribution.afternoon++;
-                    else if (hour >= 18 && hour < 24) stats.timeDistribution.evening++;
-                    else stats.timeDistribution.night++;
-
-                    // Favoriten zählen
-                    stats.totalFavorites += toot.favourites_count || 0;
-                    // Reblogs zählen
-                    stats.totalReblogs += toot.reblogs_count || 0;
-
-                    // Hashtags
-                    const hashtagRegex = /#(\w+)/g;
-                    let match;
-                    while ((match = hashtagRegex.exec(text)) !== null) {
-                        const tag = match[1].toLowerCase();
-                        hashtagMap[tag] = (hashtagMap[tag] || 0) + 1;
-                    }
-                });
+            avatarImage = profile.value.avatar ? await loadBitmap(profile.value.avatar) : null;
+        };
 
-                // Durchschnittswerte
-                stats.avgLength = Math.round(totalChars / filteredToots.length);
-                stats.totalWords = totalWords;
-                stats.avgWords = Math.round(totalWords / filteredToots.length);
-
-                // Median berechnen
-                lengths.sort((a, b) => a - b);
-                const mid = Math.floor(lengths.length / 2);
-                stats.medianLength = lengths.length % 2 === 0
-                    ? Math.round((lengths[mid - 1] + lengths[mid]) / 2)
-                    : lengths[mid];
-
-                // Prozentuale Verteilung
-                const total = filteredToots.length;
-                stats.timeDistribution.morning = Math.round((stats.timeDistribution.morning / total) * 100);
-                stats.timeDistribution.afternoon = Math.round((stats.timeDistribution.afternoon / total) * 100);
-                stats.timeDistribution.evening = Math.round((stats.timeDistribution.evening / total) * 100);
-                stats.timeDistribution.night = Math.round((stats.timeDistribution.night / total) * 100);
-
-
-                // Top Hashtags
-                stats.topHashtags = Object.entries(hashtagMap)
-                    .sort((a, b) => b[1] - a[1])
-                    .slice(0, 5)
-                    .map(([tag, count]) => ({ tag, count }));
-
-                // Aktivste Stunde
-                const maxHour = Object.entries(hourMap).sort((a, b) => b[1] - a[1])[0];
-                stats.mostActiveHour = maxHour ? parseInt(maxHour[0]) : 12;
-
-                // Aktivster Tag
-                const maxDay = Object.entries(dayMap).sort((a, b) => b[1] - a[1])[0];
-                stats.mostActiveDay = maxDay ? maxDay[0] : 'Montag';
-
-                // Aktivster Monat
-                const maxMonth = Object.entries(monthMap).sort((a, b) => b[1] - a[1])[0];
-                stats.mostActiveMonth = maxMonth ? { name: maxMonth[0], count: maxMonth[1] } : { name: 'Januar', count: 0 };
-
-                // Längste Serie berechnen
-                const dates = filteredToots
-                    .map(t => new Date(t.created_at).toDateString())
-                    .sort();
-                const uniqueDates = [...new Set(dates)];
-
-                let currentStreak = 1;
-                let maxStreak = 1;
-
-                for (let i = 1; i < uniqueDates.length; i++) {
-                    const prev = new Date(uniqueDates[i - 1]);
-                    const curr = new Date(uniqueDates[i]);
-                    const diff = Math.floor((curr - prev) / (1000 * 60 * 60 * 24));
-
-                    if (diff === 1) {
-                        currentStreak++;
-                        if (currentStreak > maxStreak) maxStreak = currentStreak;
-                    } else {
-                        currentStreak = 1;
+        /**
+         * @param {string} url
+         * @returns {Promise<ImageBitmap|null>}
+         */
+        const loadBitmap = async (url) => {
+            try {
+                const response = await fetch(url);
+                if (response.ok) return await createImageBitmap(await response.blob());
+            } catch (err) {
+                // Bilder ohne CORS-Header können nicht auf das Canvas gezeichnet werden
+            }
+            return null;
+        };
+
+        /**
+         * Lädt die Profilbilder des inneren Kreises. Erwähnungen enthalten kein Profilbild,
+         * es wird über die Konto-ID von der eigenen Instanz geholt.
+         */
+        const loadCircleAvatars = async () => {
+            if (!innerCircle.value.enabled || !wrappedData.value) return;
+            if (innerCircle.value.graph && !avatarImage) await loadProfile();
+
+            for (const entry of [...wrappedData.value.innerCircle, ...(wrappedData.value.engagement?.topFans || [])]) {
+                const key = entry.acct.toLowerCase();
+                if (circleAvatars[key]) continue;
+                let avatar = entry.avatar;
+                if (!avatar && entry.id && canImport.value) {
+                    try {
+                        const response = await fetch(`${instanceUrl.value}/api/v1/accounts/${entry.id}`, {
+                            headers: { 'Authorization': `Bearer ${accessToken.value}` }
+                        });
+                        if (response.ok) avatar = (await response.json()).avatar_static;
+                    } catch (err) {
+                        // Ohne Profilbild bleibt der Anfangsbuchstabe
                     }
                 }
+                const image = avatar ? await loadBitmap(avatar) : null;
+                if (image) circleAvatars[key] = image;
+            }
+        };
 
-                stats.longestStreak = maxStreak;
+        watch(() => ({ ...innerCircle.value }), async (value, previous) => {
+            await saveToDb('config', { key: 'innerCircle', ...value });
+            if (!wrappedData.value) return;
+            // Ranglisten gibt es nur mit Zustimmung, dafür wird die Auswertung neu erstellt
+            if (value.enabled !== previous.enabled) {
+                await generateWrapped();
+                return;
+            }
+            buildCards();
+            await loadCircleAvatars();
+            // Die Karte bekommt nach dem Einblenden erst nach dem Rendern ein Canvas
+            await nextTick();
+            redrawCards();
+        });
 
-                wrappedData.value = stats;
+        /**
+         * @param {ArrayBuffer} data
+         * @returns {Promise<void>}
+         */
+        const registerCustomFont = async (data) => {
+            const face = new FontFace(CUSTOM_FONT_FAMILY, data);
+            await face.load();
+            document.fonts.add(face);
+        };
 
-                await nextTick();
-                setTimeout(() => {
-                    const wrappedElement = document.querySelector('.wrapped-container');
-                    if (wrappedElement) {
-                        wrappedElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
-                    }
-                }, 100);
-                downloadWrappedCard('total', false);
-                downloadWrappedCard('hashtags', false);
-                downloadWrappedCard('activity', false);
-                downloadWrappedCard('longest', false);
-                downloadWrappedCard('words', false);
-                downloadWrappedCard('timeofday', false);
-                downloadWrappedCard('social', false);
-                downloadWrappedCard('month', false);
+        /**
+         * Lädt eine Schriftdatei (WOFF, WOFF2, TTF, OTF) und speichert sie für den nächsten Besuch.
+         * @param {Event} event
+         */
+        const loadCustomFont = async (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+            themeError.value = null;
+            try {
+                const data = await file.arrayBuffer();
+                await registerCustomFont(data);
+                await saveToDb('config', { key: 'customFont', name: file.name, data });
+                customFontName.value = file.name;
+                theme.value.font = CUSTOM_FONT_FAMILY;
             } catch (err) {
-                error.value = 'Fehler beim Generieren: ' + err.message;
+                themeError.value = t('theme.fontFailed', { message: err.message });
             } finally {
-                isGenerating.value = false;
+                event.target.value = '';
             }
         };
 
+        watch(theme, async () => {
+            const { name, colors, text, font, showProfile } = theme.value;
+            await saveToDb('config', { key: 'theme', name, colors: [...colors], text, font, showProfile });
+            redrawCards();
+        }, { deep: true });
+
+        watch(() => theme.value.name, async (name) => {
+            if (name !== 'brand') return;
+            await loadBrandColors();
+            redrawCards();
+        });
+
+        watch(() => theme.value.showProfile, async (showProfile) => {
+            if (!showProfile || !activeAccount.value) return;
+            await loadProfile();
+            redrawCards();
+        });
+
+        // Export Functions
         /**
-         * @param {'total'|'hashtags'|'activity'|'longest'|'words'|'timeofday'|'social'|'month'} type
-         * @returns {Promise<void>}
+         * Zeichnet eine Karte auf ein neues Canvas, unabhängig von der Vorschau auf der Seite.
+         * @param {WrappedCard} card
+         * @returns {HTMLCanvasElement}
          */
-        const downloadWrappedCard = async (type, download = true) => {
-            const header = `Mastodon Wrapped ${new Date().getFullYear()}`;
-            cardsValue.value = {
-                total: {
-                    gradient: ['#fa709a', '#fee140'],
-                    header: header,
-                    value: wrappedData.value.totalToots.toString(),
-                    label: 'Toots gepostet',
-                    extraList: [
-                        `📝 ${wrappedData.value.avgLength} Ø Zeichen`, 
-                        `🖼️ ${wrappedData.value.withMedia} mit Medien`, 
-                        `💬 ${wrappedData.value.replies} Antworten`, 
-                        `♻️ ${wrappedData.value.totalRetoots} Re-Toots`
-                        ],
-                    altText: `Toots gepostet ${new Date().getFullYear()}, ${wrappedData.value.totalToots} Toots gepostet mit durchschnittlich ${wrappedData.value.avgLength} Zeichen. Davon hatten ${wrappedData.value.withMedia} Medien, ${wrappedData.value.replies} waren Antworten und ${wrappedData.value.totalRetoots} Re-Toots.`
-                },
-                hashtags: {
-                    gradient: ['#4facfe', '#00f2fe'],
-                    header: header,
-                    value: wrappedData.value.topHashtags.slice(0, 1).map(t => `#${t.tag} (${t.count}×)`).join(' '),
-                    label: 'Top Hashtags',
-                    extraList: wrappedData.value.topHashtags.slice(1, 6).map(t => `#${t.tag} (${t.count}×)`),
-                    altText: `Top Hashtags in ${new Date().getFullYear()} waren: ${wrappedData.value.topHashtags.map(t => `#${t.tag} (${t.count} mal)`).join(', ')}.`
-                },
-                activity: {
-                    gradient: ['#43e97b', '#38f9d7'],
-                    header: header,
-                    value: `${wrappedData.value.mostActiveHour}:00 Uhr`,
-                    label: 'Aktivste Stunde',
-                    extra: `${wrappedData.value.mostActiveDay} | ${wrappedData.value.longestStreak} Tage Serie`,
-                    altText: `Aktivste Stunde in ${new Date().getFullYear()} war ${wrappedData.value.mostActiveHour}:00 Uhr. Dein längster Aktivitätszeitraum betrug ${wrappedData.value.longestStreak} Tage, am aktivsten warst du an einem ${wrappedData.value.mostActiveDay}.`
-                },
-                longest: {
-                    gradient: ['#fa709a', '#fee140'],
-                    header: header,
-                    value: wrappedData.value.longestToot.toString(),
-                    label: 'Längster Toot (Zeichen)',
-                    extraList: [
-                        `📏 Kürzester: ${wrappedData.value.shortestToot} Zeichen`,
-                        `📊 Median: ${wrappedData.value.medianLength} Zeichen`
-                    ],
-                    altText: `Längster Toot in ${new Date().getFullYear()} hatte ${wrappedData.value.longestToot} Zeichen. Der kürzeste Toot hatte ${wrappedData.value.shortestToot} Zeichen und der Median lag bei ${wrappedData.value.medianLength} Zeichen.`
-                },
-                words: {
-                    gradient: ['#f093fb', '#f5576c'],
-                    header: header,
-                    value: wrappedData.value.totalWords.toString(),
-                    label: 'Wörter geschrieben',
-                    extraList: [
-                        `📖 Das sind ${Math.round(wrappedData.value.totalWords / 250)} Buchseiten!`,
-                        `💬 Ø ${wrappedData.value.avgWords} Wörter pro Toot`
-                    ],
-                    altText: `Wörter geschrieben in ${new Date().getFullYear()} insgesamt ${wrappedData.value.totalWords} Wörter, was etwa ${Math.round(wrappedData.value.totalWords / 250)} Buchseiten entspricht. Im Durchschnitt enthielt jeder Toot ${wrappedData.value.avgWords} Wörter.`
-                },
-                timeofday: {
-                    gradient: ['#4facfe', '#00f2fe'],
-                    header: header,
-                    value: 'Tageszeit',
-                    label: '',
-                    extraList: [
-                        `🌅 Morgen (6-12): ${wrappedData.value.timeDistribution.morning}%`,
-                        `☀️ Mittag (12-18): ${wrappedData.value.timeDistribution.afternoon}%`,
-                        `🌆 Abend (18-24): ${wrappedData.value.timeDistribution.evening}%`,
-                        `🌙 Nacht (0-6): ${wrappedData.value.timeDistribution.night}%`
-                    ],
-                    altText: `Tageszeit in ${new Date().getFullYear()} hast du deine Toots zu folgenden Tageszeiten gepostet: ${wrappedData.value.timeDistribution.morning}% am Morgen, ${wrappedData.value.timeDistribution.afternoon}% am Mittag, ${wrappedData.value.timeDistribution.evening}% am Abend und ${wrappedData.value.timeDistribution.night}% in der Nacht.`
-                },
-                social: {
-                    gradient: ['#43e97b', '#38f9d7'],
-                    header: header,
-                    value: `${wrappedData.value.totalMentions.toString()} 👥 Erwähnt`,
-                    label: 'Sozial & Vernetzt',
-                    extraList: [
-                        `⭐ ${wrappedData.value.totalFavorites} Favoriten erhalten`,
-                        `🔁 ${wrappedData.value.totalReblogs} Reblogs erhalten`,
-                        `🔗 ${wrappedData.value.totalLinks} Links geteilt`,
-                        `🔒 ${wrappedData.value.privateToots} Private Toots`
-                    ],
-                    altText: `In ${new Date().getFullYear()} hast du ${wrappedData.value.totalMentions} Erwähnungen gemacht, ${wrappedData.value.totalLinks} Links geteilt, ${wrappedData.value.totalReblogs} Reblogs erhalten, ${wrappedData.value.totalFavorites} Favoriten erhalten und ${wrappedData.value.privateToots} private Toots gepostet.`
-                },
-                month: {
-                    gradient: ['#f093fb', '#f5576c'],
-                    header: header,
-                    value: wrappedData.value.mostActiveMonth.name,
-                    label: 'Aktivster Monat',
-                    extra: `${wrappedData.value.mostActiveMonth.count} Toots`,
-                    altText: `Dein aktivster Monat in ${new Date().getFullYear()} war ${wrappedData.value.mostActiveMonth.name} mit ${wrappedData.value.mostActiveMonth.count} Toots.`
-                }
-            };
-
-            const card = cardsValue.value[type];
-            await createAndDownloadImage(card, type, download);
+        const renderCard = (card) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = CARD_SIZE;
+            canvas.height = CARD_SIZE;
+            drawCard(canvas.getContext('2d'), card);
+            return canvas;
         };
 
         /**
+         * Story im Format 1080×1920: senkrechter Verlauf, die Karte mittig darauf.
          * @param {WrappedCard} card
-         * @param {string} type
-         * @returns {Promise<void>}
+         * @returns {HTMLCanvasElement}
          */
-        const createAndDownloadImage = async (card, type, download = true) => {
-            let canvas;
-            if (document.querySelector(`#canvas-${type}`)) {
-                canvas = document.getElementById(`canvas-${type}`);
-            } else {
-                canvas = document.createElement('canvas');
-            }
-            canvas.width = 1080;
-            canvas.height = 1080;
+        const renderStory = (card) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = CARD_SIZE;
+            canvas.height = STORY_HEIGHT;
             const ctx = canvas.getContext('2d');
 
-            const gradient = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
-            gradient.addColorStop(0, card.gradient[0]);
-            gradient.addColorStop(1, card.gradient[1]);
+            const colors = cardTheme.value.background || card.gradient;
+            const gradient = ctx.createLinearGradient(0, 0, 0, STORY_HEIGHT);
+            gradient.addColorStop(0, colors[0]);
+            gradient.addColorStop(1, colors[1]);
             ctx.fillStyle = gradient;
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.fillRect(0, 0, CARD_SIZE, STORY_HEIGHT);
+
+            ctx.save();
+            ctx.translate(0, (STORY_HEIGHT - CARD_SIZE) / 2);
+            drawCard(ctx, card, false);
+            ctx.restore();
+            return canvas;
+        };
+
+        /**
+         * PDF-Seite: Karte mit dem Alternativtext darunter.
+         * @param {WrappedCard} card
+         * @returns {HTMLCanvasElement}
+         */
+        const renderPdfPage = (card) => {
+            const padding = 60;
+            const lineHeight = 40;
+            const measure = document.createElement('canvas').getContext('2d');
+            measure.font = cardFont(28);
+            const lines = wrapLines(measure, card.altText || '', CARD_SIZE - 2 * padding);
 
+            const canvas = document.createElement('canvas');
+            canvas.width = CARD_SIZE;
+            canvas.height = CARD_SIZE + padding * 2 + lines.length * lineHeight;
+            const ctx = canvas.getContext('2d');
             ctx.fillStyle = 'white';
-            ctx.textAlign = 'center';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            drawCard(ctx, card);
 
-            // Header
-            ctx.font = 'bold 40px Arial';
-            ctx.globalAlpha = 0.9;
-            ctx.fillText(card.header || 'MASTODON WRAPPED', canvas.width / 2, 150);
+            ctx.fillStyle = '#333';
+            ctx.font = cardFont(28);
+            ctx.textAlign = 'left';
             ctx.globalAlpha = 1;
+            lines.forEach((line, index) => {
+                ctx.fillText(line, padding, CARD_SIZE + padding + 28 + index * lineHeight);
+            });
+            return canvas;
+        };
 
-            // Value
-            const fontSize = card.value.length > 10 ? 90 : 220;
-            ctx.font = `bold ${fontSize}px Arial`;
-            ctx.fillText(card.value, canvas.width / 2, 550);
+        /** @returns {string[]} Karten in der Reihenfolge der Ansicht */
+        const exportTypes = () => cardsList.value.filter(type => cardsValue.value[type]);
 
-            // Label
-            ctx.font = 'bold 50px Arial';
-            ctx.globalAlpha = 0.95;
-            ctx.fillText(card.label, canvas.width / 2, 680);
-            ctx.globalAlpha = 1;
+        /**
+         * Alle Karten als PNG und ihre Alternativtexte in einer ZIP-Datei
+         */
+        const downloadZip = async () => {
+            isExporting.value = true;
+            error.value = null;
+            try {
+                const files = [];
+                const altTexts = [];
+                for (const type of exportTypes()) {
+                    const card = cardsValue.value[type];
+                    const name = `mastodon-wrapped-${type}.png`;
+                    const blob = await canvasBlob(renderCard(card));
+                    files.push({ name, data: new Uint8Array(await blob.arrayBuffer()) });
+                    altTexts.push(`${name}\n${card.altText}\n`);
+                }
+                files.push({ name: 'alt-texts.txt', data: new TextEncoder().encode(altTexts.join('\n')) });
+                saveBlob(createZip(files), `mastodon-wrapped-${username.value}.zip`);
+            } catch (err) {
+                error.value = t('errors.export', { message: errorMessage(err) });
+            } finally {
+                isExporting.value = false;
+            }
+        };
 
-            // Extra Info
-            if (card.extra) {
-                ctx.font = '32px Arial';
-                ctx.globalAlpha = 0.9;
-                const maxWidth = 950;
-                const words = card.extra.split(' ');
-                let line = '';
-                let y = 780;
-
-                for (let i = 0; i < words.length; i++) {
-                    const testLine = line + words[i] + ' ';
-                    const metrics = ctx.measureText(testLine);
-                    if (metrics.width > maxWidth && i > 0) {
-                        ctx.fillText(line, canvas.width / 2, y);
-                        line = words[i] + ' ';
-                        y += 40;
-                    } else {
-                        line = testLine;
-                    }
+        /**
+         * Alle Karten als mehrseitiges PDF, je Seite eine Karte mit Alternativtext
+         */
+        const downloadPdf = async () => {
+            isExporting.value = true;
+            error.value = null;
+            try {
+                const pages = [];
+                for (const type of exportTypes()) {
+                    const canvas = renderPdfPage(cardsValue.value[type]);
+                    const blob = await canvasBlob(canvas, 'image/jpeg', 0.92);
+                    pages.push({ jpeg: new Uint8Array(await blob.arrayBuffer()), width: canvas.width, height: canvas.height });
                 }
-                ctx.fillText(line, canvas.width / 2, y);
-                ctx.globalAlpha = 1;
+                saveBlob(createPdf(pages, t('wrapped.header', { period: periodLabel.value })), `mastodon-wrapped-${username.value}.pdf`);
+            } catch (err) {
+                error.value = t('errors.export', { message: errorMessage(err) });
+            } finally {
+                isExporting.value = false;
             }
+        };
 
-            // Extra Info unter einander
-            if (card.extraList) {
-                ctx.font = '32px Arial';
-                ctx.globalAlpha = 0.9;
-                const startY = 780;
-                const lineHeight = 40;
-                card.extraList.forEach((lineText, index) => {
-                    ctx.fillText(lineText, canvas.width / 2, startY + index * lineHeight);
-                });
-                ctx.globalAlpha = 1;
+        /**
+         * @param {string} type
+         */
+        const downloadStory = async (type) => {
+            const canvas = renderStory(cardsValue.value[type]);
+            saveBlob(await canvasBlob(canvas), `mastodon-wrapped-${type}-story-${username.value}.png`);
+        };
+
+        // Share Functions
+        /** Wartezeit und Versuche, bis Mastodon ein hochgeladenes Bild verarbeitet hat */
+        const MEDIA_POLL_DELAY = 1000;
+        const MEDIA_POLL_ATTEMPTS = 30;
+
+        const openShare = () => {
+            shareCards.value = [...cardsList.value];
+            if (!shareTemplate.value) shareTemplate.value = t('share.defaultTemplate');
+            sharePreview.value = null;
+            shareError.value = null;
+            shareResult.value = null;
+            showShare.value = !showShare.value;
+        };
+
+        /**
+         * Meldet das aktive Konto erneut an, diesmal mit Schreibrechten.
+         */
+        const enableSharing = async () => {
+            allowPosting.value = true;
+            await startAuth();
+        };
+
+        /**
+         * Teilt die ausgewählten Karten in Beiträge mit höchstens vier Bildern auf und füllt die Vorlage aus.
+         * Platzhalter: {period}, {part}, {parts}
+         */
+        const previewShare = async () => {
+            const selected = cardsList.value.filter(type => shareCards.value.includes(type));
+            const parts = Math.ceil(selected.length / MAX_MEDIA_PER_STATUS);
+            shareError.value = null;
+            shareResult.value = null;
+            try {
+                const posts = [];
+                for (let i = 0; i < parts; i++) {
+                    const values = { period: periodLabel.value, part: `${i + 1}`, parts: `${parts}` };
+                    const images = [];
+                    for (const type of selected.slice(i * MAX_MEDIA_PER_STATUS, (i + 1) * MAX_MEDIA_PER_STATUS)) {
+                        // Hochgeladen wird das Bild der Vorschau, auch wenn sich Design oder Karten danach ändern
+                        const canvas = document.getElementById(`canvas-${type}`);
+                        images.push({
+                            type,
+                            src: canvas.toDataURL('image/png'),
+                            blob: await canvasBlob(canvas),
+                            altText: cardsValue.value[type]?.altText || ''
+                        });
+                    }
+                    posts.push({ text: shareTemplate.value.replace(/\{(period|part|parts)\}/g, (match, name) => values[name]), images });
+                }
+                sharePreview.value = posts;
+            } catch (err) {
+                sharePreview.value = null;
+                shareError.value = t('share.failed', { message: errorMessage(err) });
             }
+        };
 
-            // Footer
-            ctx.font = 'bold 35px Arial';
-            ctx.globalAlpha = 0.8;
-            ctx.fillText(`@${username.value}@${instanceUrl.value.replace('https://', '')}`, canvas.width / 2, 980);
-            if (!download) {
-                return
+        /**
+         * Lädt eine Karte mit ihrem Alternativtext hoch und wartet, bis Mastodon sie verarbeitet hat.
+         * @param {SharePost['images'][number]} image
+         * @returns {Promise<string>} ID des Medienanhangs
+         */
+        const uploadCard = async (image) => {
+            const body = new FormData();
+            body.append('file', image.blob, `mastodon-wrapped-${image.type}.png`);
+            body.append('description', image.altText);
+
+            const headers = { 'Authorization': `Bearer ${accessToken.value}` };
+            const response = await fetch(`${instanceUrl.value}${serverProfile.value.mediaEndpoint}`, { method: 'POST', headers, body });
+            ensureAuthorized(response);
+            if (!response.ok) throw new TranslatableError('share.uploadFailed', { status: `${response.status}` });
+            const media = await response.json();
+
+            // 202: Das Bild wird noch verarbeitet, GET liefert dann 206 bis es fertig ist
+            let processing = response.status === 202;
+            for (let attempt = 0; processing && attempt < MEDIA_POLL_ATTEMPTS; attempt++) {
+                await sleep(MEDIA_POLL_DELAY);
+                const poll = await fetch(`${instanceUrl.value}/api/v1/media/${media.id}`, { headers });
+                processing = poll.status === 206;
             }
-            canvas.toBlob(blob => {
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `mastodon-wrapped-${type}-${username.value}.png`;
-                a.click();
-                URL.revokeObjectURL(url);
-            }, 'image/png');
+            // Ein Beitrag mit unfertigem Anhang würde ohne das Bild erscheinen
+            if (processing) throw new TranslatableError('share.processingTimeout');
+            return media.id;
         };
 
-        const downloadAllCards = async () => {
-            const types = ['total', 'hashtags', 'activity', 'longest', 'words', 'timeofday', 'social', 'month'];
-            for (const type of types) {
-                await downloadWrappedCard(type);
-                await new Promise(resolve => setTimeout(resolve, 500));
+        /**
+         * Veröffentlicht die Vorschau als Beitrag bzw. Thread.
+         */
+        const postShare = async () => {
+            if (!sharePreview.value || isSharing.value) return;
+            isSharing.value = true;
+            shareError.value = null;
+            shareResult.value = null;
+
+            try {
+                const posts = sharePreview.value;
+                const total = posts.reduce((sum, post) => sum + post.images.length, 0);
+                let uploaded = 0;
+                let inReplyToId = null;
+
+                for (const [index, post] of posts.entries()) {
+                    const mediaIds = [];
+                    for (const image of post.images) {
+                        shareStatus.value = t('share.uploading', { current: ++uploaded, total });
+                        mediaIds.push(await uploadCard(image));
+                    }
+
+                    shareStatus.value = t('share.posting', { part: index + 1, parts: posts.length });
+                    const response = await fetch(`${instanceUrl.value}/api/v1/statuses`, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'Authorization': `Bearer ${accessToken.value}`
+                        },
+                        body: JSON.stringify({
+                            status: post.text,
+                            media_ids: mediaIds,
+                            visibility: shareVisibility.value,
+                            in_reply_to_id: inReplyToId
+                        })
+                    });
+                    ensureAuthorized(response);
+                    if (!response.ok) throw new TranslatableError('share.postFailed', { status: `${response.status}` });
+
+                    const status = await response.json();
+                    inReplyToId = status.id;
+                    if (index === 0) shareResult.value = status.url;
+                }
+
+                sharePreview.value = null;
+                shareStatus.value = t('share.done');
+            } catch (err) {
+                shareError.value = t('share.failed', { message: errorMessage(err) });
+            } finally {
+                isSharing.value = false;
             }
         };
 
         // LifecyclecardsList
+        /**
+         * Übernimmt die gespeicherten Einstellungen, z.B. beim Start oder nach dem Einspielen einer Sicherung.
+         * @returns {Promise<void>}
+         */
+        const loadSettings = async () => {
+            const storedPeriod = await getFromDb('config', 'period');
+            if (storedPeriod) {
+                const { key, ...rest } = storedPeriod;
+                period.value = orderedPeriod(rest);
+            }
+            const storedCompareWith = await getFromDb('config', 'compareWith');
+            if (storedCompareWith) compareWith.value = storedCompareWith.value;
+            const storedTimeZone = await getFromDb('config', 'timeZone');
+            if (storedTimeZone) timeZone.value = storedTimeZone.timeZone;
+            const storedLocale = await getFromDb('config', 'locale');
+            if (storedLocale && SUPPORTED_LOCALES.includes(storedLocale.locale)) locale.value = storedLocale.locale;
+            applyLocale();
+            const storedCards = await getFromDb('config', 'cards');
+            if (storedCards) {
+                cardOrder.value = mergeCardOrder(storedCards.order);
+                hiddenCards.value = storedCards.hidden || [];
+            }
+            const storedCircle = await getFromDb('config', 'innerCircle');
+            if (storedCircle) innerCircle.value = { enabled: !!storedCircle.enabled, graph: !!storedCircle.graph };
+            const storedTheme = await getFromDb('config', 'theme');
+            if (storedTheme) {
+                const { key, ...rest } = storedTheme;
+                theme.value = { ...defaultTheme(), ...rest };
+            }
+            const storedFont = await getFromDb('config', 'customFont');
+            if (storedFont) {
+                try {
+                    await registerCustomFont(storedFont.data);
+                    customFontName.value = storedFont.name;
+                } catch (err) {
+                    // Beschädigte Schriftdatei, es bleibt bei den Standardschriften
+                }
+            }
+            if (theme.value.font === CUSTOM_FONT_FAMILY && !customFontName.value) theme.value.font = 'Arial';
+        };
+
         onMounted(async () => {
             await initDB();
+            await loadSettings();
             await checkAuthFromUrl();
         });
 
@@ -825,6 +4445,12 @@ createApp({
             instanceUrl,
             username,
             isAuthenticated,
+            accounts,
+            activeAccount,
+            addingAccount,
+            canImport,
+            allowPosting,
+            canShare,
             isLoading,
             isImporting,
             importComplete,
@@ -835,19 +4461,103 @@ createApp({
             importTime,
             toots,
             showToots,
+            tootFilter,
+            tootHashtags,
+            filteredToots,
+            visibleToots,
+            scrollToots,
+            openTootBrowser,
+            resetTootFilter,
+            openWarnings,
+            toggleWarning,
+            tootSorts: Object.keys(TOOT_SORTS),
+            TOOT_ROW_HEIGHT,
+            TOOT_LIST_HEIGHT,
             wrappedData,
             isGenerating,
+            generatingProgress,
+            storageInfo,
+            storageStatus,
+            storageVisibility,
+            loadStorageInfo,
+            formatBytes,
+            pruneToots,
+            exportDatabase,
+            importBackup,
             existingTootsCount,
+            importSummary,
+            pendingImport,
+            period,
+            periodYears,
+            periodLabel,
+            compareWith,
+            comparePeriod,
+            formatPeriod,
+            saveCompareWith,
+            timeZone,
+            timeZones,
+            locale,
+            languages,
+            t,
+            formatNumber,
+            saveLocale,
             cardsList,
             cardsValue,
+            cardOrder,
+            hiddenCards,
+            innerCircle,
+            isOptedOut,
+            notificationCount,
+            importNotifications,
+            cardPreviews,
+            draggedCard,
+            isEmptyCard,
+            toggleCard,
+            moveCard,
+            dropCard,
             startAuth,
             startImport,
+            cancelImport,
+            importArchive,
             viewToots,
             formatDate,
             resetApp,
+            switchAccount,
+            addAccount,
+            cancelAddAccount,
+            logoutAccount,
+            sessionExpired,
+            server,
+            reauthenticate,
+            savePeriod,
+            saveTimeZone,
             generateWrapped,
             downloadWrappedCard,
-            downloadAllCards
+            downloadAllCards,
+            isExporting,
+            downloadZip,
+            downloadPdf,
+            downloadStory,
+            theme,
+            themeNames: ['classic', 'light', 'dark', 'contrast', 'brand', 'custom'],
+            fonts: CARD_FONTS,
+            customFontFamily: CUSTOM_FONT_FAMILY,
+            customFontName,
+            themeError,
+            loadCustomFont,
+            showShare,
+            shareCards,
+            shareTemplate,
+            shareVisibility,
+            sharePreview,
+            isSharing,
+            shareStatus,
+            shareError,
+            shareResult,
+            openShare,
+            enableSharing,
+            previewShare,
+            postShare
         };
     }
 }).mount('#app');
\ No newline at end of file
@@ -0,0 +1,62 @@
+// Web Worker für die Auswertung: liest Toots und Benachrichtigungen selbst aus der IndexedDB,
+// damit große Archive weder kopiert werden noch die Oberfläche blockieren
+importScripts('/stats.js');
+
+/**
+ * Auftrag an den Worker.
+ * @typedef {Object} StatsRequest
+ * @property {string} accountKey
+ * @property {WrappedPeriod[]} periods Zeitraum und ggf. Vergleichszeitraum
+ * @property {string} timeZone
+ * @property {string} localDomain
+ */
+
+/**
+ * Antwort des Workers: beliebig viele progress-Nachrichten, danach result oder error.
+ * @typedef {{type: 'progress', done: number, total: number}|{type: 'result', stats: WrappedStats[]}|{type: 'error', message: string}} StatsResponse
+ */
+
+/**
+ * Öffnet die Datenbank in der Version, die die Seite bereits angelegt hat.
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open('MastodonDB');
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * @param {IDBDatabase} database
+ * @param {string} storeName
+ * @param {string} accountKey
+ * @returns {Promise<any[]>}
+ */
+const getAccountEntries = (database, storeName, accountKey) => new Promise((resolve, reject) => {
+    if (!database.objectStoreNames.contains(storeName)) {
+        resolve([]);
+        return;
+    }
+    const request = database.transaction([storeName], 'readonly').objectStore(storeName).index('accountKey').getAll(accountKey);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+self.onmessage = async (event) => {
+    /** @type {StatsRequest} */
+    const { accountKey, periods, timeZone, localDomain } = event.data;
+    try {
+        const database = await openDatabase();
+        const toots = await getAccountEntries(database, 'toots', accountKey);
+        const notifications = await getAccountEntries(database, 'notifications', accountKey);
+        database.close();
+
+        // Fortschritt über alle Zeiträume, jeder Zeitraum zählt gleich viel
+        const stats = periods.map((period, index) => computeWrapped(toots, notifications, period, timeZone, localDomain, (done, total) => {
+            self.postMessage({ type: 'progress', done: index * 100 + (total > 0 ? Math.round(done / total * 100) : 100), total: periods.length * 100 });
+        }));
+        self.postMessage({ type: 'result', stats });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message || String(err) });
+    }
+};
@@ -0,0 +1,868 @@
+// Berechnung der Statistiken ohne DOM und Vue, läuft im Browser, im Web Worker (stats-worker.js) und unter Node (test/)
+/**
+ * @typedef {Object} MastodonToot
+ * @property {string} id
+ * @property {string} content
+ * @property {string} created_at
+ * @property {Array<{type: string, url?: string, preview_url?: string|null, description?: string|null}>} media_attachments
+ * @property {string} [spoiler_text] Inhaltswarnung
+ * @property {boolean} [sensitive]
+ * @property {string|null} [language] ISO 639-1
+ * @property {string|null} [edited_at]
+ * @property {{votes_count: number, options: Array<{title: string, votes_count: number|null}>}|null} [poll]
+ * @property {string|null} in_reply_to_id
+ * @property {string|null} [in_reply_to_account_id] Bei Archiv-Importen die Actor-URI aus den Erwähnungen
+ * @property {{id: string, acct: string, avatar_static?: string}} [account] Verfasser
+ * @property {'public'|'unlisted'|'private'|'direct'} visibility
+ * @property {MastodonToot|null} reblog
+ * @property {Array<{name: string, url: string}>} [tags]
+ * @property {Array<{id?: string, acct: string, url: string}>} [mentions]
+ * @property {number} [favourites_count]
+ * @property {number} [reblogs_count]
+ * @property {number} [replies_count]
+ * @property {string} [accountKey] Konto, zu dem der Toot in der Datenbank gehört
+ */
+
+/**
+ * Zeitraum, für den importiert und das Wrapped erstellt wird.
+ * year: Kalenderjahr, last12: letzte 12 Monate, custom: from/to (YYYY-MM-DD, inklusive), all: alle Toots
+ * @typedef {Object} WrappedPeriod
+ * @property {'year'|'last12'|'custom'|'all'} type
+ * @property {number} year
+ * @property {string} from
+ * @property {string} to
+ */
+
+/**
+ * Gespeicherte Benachrichtigung, nur mit den Feldern, die für die Auswertung gebraucht werden.
+ * @typedef {Object} StoredNotification
+ * @property {string} accountKey
+ * @property {string} id
+ * @property {'favourite'|'reblog'|'mention'|'follow'|'poll'} type
+ * @property {string} created_at
+ * @property {{id: string, acct: string, avatar_static: string|null}|null} account Auslösendes Konto
+ * @property {{id: string, created_at: string}|null} status Bei Favoriten und Re-Toots der eigene Toot
+ */
+
+/**
+ * @typedef {Object} TootHighlight
+ * @property {string} id
+ * @property {string} url
+ * @property {string} created_at
+ * @property {string} excerpt Text bzw. Inhaltswarnung des Toots
+ * @property {number} favourites_count
+ * @property {number} reblogs_count
+ * @property {number} replies_count
+ */
+
+/**
+ * Ein Konto im "inneren Kreis". Jeder Toot zählt pro Konto einmal: als Antwort, wenn er auf das Konto
+ * antwortet, sonst als Erwähnung.
+ * @typedef {Object} CircleEntry
+ * @property {string} acct user@domain
+ * @property {string|null} id Konto-ID auf der eigenen Instanz, zum Nachladen des Profilbilds
+ * @property {string|null} avatar
+ * @property {number} replies
+ * @property {number} mentions
+ * @property {number} boosts
+ * @property {number} total
+ */
+
+/**
+ * Art der Inhalte: Medien, Umfragen, Inhaltswarnungen, Bearbeitungen und Sprachen.
+ * @typedef {Object} ContentStats
+ * @property {{image: number, video: number, gifv: number, audio: number, unknown: number}} media Anhänge nach Typ
+ * @property {{described: number, total: number}} altText Anhänge mit Bildbeschreibung
+ * @property {{created: number, votes: number}} polls
+ * @property {number} contentWarnings Toots mit Inhaltswarnung
+ * @property {number} edited
+ * @property {Array<{language: string, count: number}>} languages
+ */
+
+/**
+ * @typedef {Object} FanEntry
+ * @property {string} acct
+ * @property {string} id
+ * @property {string|null} avatar
+ * @property {number} favourites
+ * @property {number} reblogs
+ * @property {number} mentions
+ * @property {number} total
+ */
+
+/**
+ * Erhaltene Reaktionen laut Benachrichtigungen.
+ * @typedef {Object} EngagementStats
+ * @property {number} total Favoriten, Re-Toots und Erwähnungen
+ * @property {number} newFollowers
+ * @property {Array<{month: string, follows: number}>} followers Neue Follower je Monat (YYYY-MM)
+ * @property {FanEntry[]} topFans
+ * @property {{date: string, count: number}} busiestDay Tag mit den meisten Reaktionen
+ * @property {{median: number, fastest: number, count: number}} firstReaction Minuten bis zur ersten Reaktion auf einen Toot
+ * @property {number} polls Beendete Umfragen
+ */
+
+/**
+ * Ergebnis von {@link computeStats}. Ohne Toots im Zeitraum sind alle Zähler, Durchschnitte und Längen 0.
+ * @typedef {Object} WrappedStats
+ * @property {number} totalToots Eigene Toots ohne Re-Toots
+ * @property {number} totalRetoots
+ * @property {number} avgLength Zeichen je Toot, gerundet
+ * @property {number} withMedia
+ * @property {ContentStats} content
+ * @property {Array<{tag: string, count: number}>} topHashtags
+ * @property {Array<{acct: string, count: number}>} topMentions
+ * @property {CircleEntry[]} innerCircle Konten, mit denen am meisten interagiert wurde
+ * @property {TootHighlight[]} topFavourited
+ * @property {TootHighlight[]} topReblogged
+ * @property {TootHighlight[]} topReplied
+ * @property {number} replies
+ * @property {number} mostActiveHour 12 ohne Toots
+ * @property {number} mostActiveDay Wochentag (0 = Montag)
+ * @property {number} longestStreak
+ * @property {number} currentStreak Tage in Folge bis zum Ende des Zeitraums bzw. heute
+ * @property {number} activeDays Tage mit mindestens einem Toot
+ * @property {{days: number, from: string, to: string}} longestBreak Längste Zeit ohne Toot (YYYY-MM-DD, inklusive)
+ * @property {{date: string, count: number}} busiestDay
+ * @property {{start: string, counts: number[]}} calendar Toots pro Tag ab start (YYYY-MM-DD)
+ * @property {Array<{month: string, originals: number, replies: number, boosts: number}>} timeline Monate (YYYY-MM) bis zum Stichtag
+ * @property {number} longestToot
+ * @property {number} shortestToot Kürzester Toot mit Text, 0 wenn es keinen gibt
+ * @property {number} medianLength
+ * @property {number} totalWords
+ * @property {number} avgWords
+ * @property {{morning: number, afternoon: number, evening: number, night: number}} timeDistribution Anteile in Prozent
+ * @property {number[][]} heatmap Toots je Wochentag (0 = Montag) und Stunde
+ * @property {string} timeZone Zeitzone, in der Stunden und Tage ausgewertet wurden
+ * @property {number} totalLinks
+ * @property {number} totalMentions
+ * @property {number} boosts
+ * @property {number} privateToots
+ * @property {{key: string, count: number}} mostActiveMonth key: YYYY-MM, leer ohne Toots
+ * @property {number} totalFavorites Erhaltene Favoriten laut Zählern der Toots
+ * @property {number} totalReblogs Erhaltene Re-Toots laut Zählern der Toots
+ * @property {{period: WrappedPeriod, stats: WrappedStats}|null} [comparison] Vergleichszeitraum
+ * @property {EngagementStats|null} engagement null, solange keine Benachrichtigungen importiert wurden
+ */
+
+/**
+ * Liefert Beginn (inklusive) und Ende (exklusive) eines Zeitraums. `null` bedeutet offen.
+ * @param {WrappedPeriod} period
+ * @returns {{start: Date|null, end: Date|null}}
+ */
+const getPeriodRange = (period) => {
+    switch (period.type) {
+        case 'year':
+            return { start: new Date(period.year, 0, 1), end: new Date(period.year + 1, 0, 1) };
+        case 'custom': {
+            const end = period.to ? new Date(`${period.to}T00:00:00`) : null;
+            if (end) end.setDate(end.getDate() + 1);
+            return { start: period.from ? new Date(`${period.from}T00:00:00`) : null, end };
+        }
+        case 'all':
+            return { start: null, end: null };
+        default: {
+            const start = new Date();
+            start.setFullYear(start.getFullYear() - 1);
+            return { start, end: null };
+        }
+    }
+};
+
+/**
+ * @param {WrappedPeriod} period
+ * @param {string} createdAt
+ * @returns {boolean}
+ */
+const isInPeriod = (period, createdAt) => {
+    const { start, end } = getPeriodRange(period);
+    const date = new Date(createdAt);
+    return (!start || date >= start) && (!end || date < end);
+};
+
+/**
+ * @param {string|null|undefined} uri
+ * @returns {string|null} letzter Pfadbestandteil, bei Mastodon die Status-ID bzw. der Benutzername
+ */
+const lastPathSegment = (uri) => {
+    if (!uri) return null;
+    return uri.replace(/\/activity$/, '').split('/').filter(Boolean).pop() || null;
+};
+
+/** Wochentage ab Montag, passend zu {@link zonedParts} */
+const WEEKDAY_KEYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/** @type {Object<string, Intl.DateTimeFormat>} */
+const zonedFormatters = {};
+
+/**
+ * Zerlegt einen Zeitpunkt in Datum, Wochentag und Stunde in der angegebenen Zeitzone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, weekday: number, dateKey: string}} weekday: 0 = Montag, dateKey: YYYY-MM-DD
+ */
+const zonedParts = (date, timeZone) => {
+    if (!zonedFormatters[timeZone]) {
+        zonedFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            hourCycle: 'h23',
+            weekday: 'short'
+        });
+    }
+    const parts = Object.fromEntries(zonedFormatters[timeZone].formatToParts(date).map(part => [part.type, part.value]));
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour) % 24,
+        weekday: WEEKDAY_KEYS.indexOf(parts.weekday),
+        dateKey: `${parts.year}-${parts.month}-${parts.day}`
+    };
+};
+
+/**
+ * @param {string} dateKey YYYY-MM-DD
+ * @param {number} days
+ * @returns {string} YYYY-MM-DD
+ */
+const addDays = (dateKey, days) => {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Kalendertage zwischen zwei Tagen, unabhängig von Zeitumstellungen
+ * @param {string} from YYYY-MM-DD
+ * @param {string} to YYYY-MM-DD
+ * @returns {number}
+ */
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+
+/**
+ * @param {string} monthKey YYYY-MM
+ * @param {number} months
+ * @returns {string} YYYY-MM
+ */
+const addMonths = (monthKey, months) => {
+    const date = new Date(`${monthKey}-01T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + months);
+    return date.toISOString().slice(0, 7);
+};
+
+/**
+ * Tageszeit mit den meisten Toots, z.B. "night" für Nachteulen.
+ * @param {WrappedStats['timeDistribution']} timeDistribution
+ * @returns {'morning'|'afternoon'|'evening'|'night'}
+ */
+const chronotype = (timeDistribution) => Object.entries(timeDistribution).sort((a, b) => b[1] - a[1])[0][0];
+
+/**
+ * @param {string} acct Bei lokalen Konten ohne Domain
+ * @param {string} localDomain
+ * @returns {string} user@domain
+ */
+const fullAcct = (acct, localDomain) => acct.includes('@') ? acct : `${acct}@${localDomain}`;
+
+/**
+ * @typedef {Object} TootEntities
+ * @property {string} text Reiner Text ohne HTML, Entitäten dekodiert
+ * @property {string[]} links Geteilte Links (ohne Hashtag- und Erwähnungs-Links)
+ * @property {string[]} hashtags Hashtags in Kleinschreibung, ohne #
+ * @property {string[]} mentions Erwähnte Konten als user@domain
+ */
+
+/** Benannte Entitäten, die Mastodon beim Rendern verwendet, alle anderen Zeichen kommen als Unicode oder numerische Referenz */
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+/**
+ * @param {string} html
+ * @returns {string} Text mit dekodierten Entitäten, unbekannte und ungültige bleiben unverändert
+ */
+const decodeEntities = (html) => html.replace(/&(?:#x([0-9a-f]+)|#(\d+)|([a-z]+));/gi, (match, hex, decimal, name) => {
+    if (name) return HTML_ENTITIES[name] ?? match;
+    const codePoint = hex ? parseInt(hex, 16) : parseInt(decimal, 10);
+    return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+});
+
+/**
+ * @param {string} source Attribute eines Start-Tags
+ * @returns {Object<string, string>} Namen in Kleinschreibung
+ */
+const parseAttributes = (source) => Object.fromEntries(
+    [...source.matchAll(/([^\s"'=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)]
+        .map(([, name, doubleQuoted, singleQuoted, unquoted]) => [name.toLowerCase(), decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? '')])
+);
+
+/**
+ * Zerlegt den HTML-Inhalt eines Toots in reinen Text und Entitäten. Hashtags und Erwähnungen kommen
+ * aus den strukturierten Feldern der API, nur wenn diese fehlen aus den Links im HTML.
+ * Kommt ohne DOMParser aus, damit die Auswertung auch im Web Worker und unter Node läuft.
+ * @param {MastodonToot} toot
+ * @param {string} localDomain Domain für lokale Konten, deren acct keine Domain enthält
+ * @returns {TootEntities}
+ */
+const parseTootContent = (toot, localDomain) => {
+    const html = toot.content || '';
+    /** @type {Array<{href: string, classes: string[], rel: string[], text: string}>} */
+    const anchors = [];
+    let openAnchor = null;
+    let content = '';
+    const append = (chunk) => {
+        content += chunk;
+        if (openAnchor) openAnchor.text += chunk;
+    };
+
+    // Wie textContent: Zeilenumbruch für <br>, Leerzeile nach jedem Absatz
+    let position = 0;
+    for (const match of html.matchAll(/<!--[\s\S]*?-->|<(\/?)([a-z][a-z0-9]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/gi)) {
+        append(decodeEntities(html.slice(position, match.index)));
+        position = match.index + match[0].length;
+        const [, closing, name = '', attributeSource] = match;
+        const tag = name.toLowerCase();
+        if (tag === 'br' && !closing) {
+            append('\n');
+        } else if (tag === 'p' && closing) {
+            append('\n\n');
+        } else if (tag === 'a') {
+            openAnchor = null;
+            if (closing) continue;
+            const attributes = parseAttributes(attributeSource);
+            if (!('href' in attributes)) continue;
+            openAnchor = {
+                href: attributes.href,
+                classes: (attributes.class || '').split(/\s+/),
+                rel: (attributes.rel || '').toLowerCase().split(/\s+/),
+                text: ''
+            };
+            anchors.push(openAnchor);
+        }
+    }
+    append(decodeEntities(html.slice(position)));
+    const text = content.trim();
+
+    const isHashtag = (a) => a.classes.includes('hashtag') || a.rel.includes('tag');
+    const isMention = (a) => a.classes.includes('mention') && !isHashtag(a);
+
+    const links = anchors
+        .filter(a => !isHashtag(a) && !isMention(a))
+        .map(a => a.href);
+    if (links.length === 0 && toot.card?.url) links.push(toot.card.url);
+
+    const hashtags = toot.tags
+        ? toot.tags.map(tag => tag.name.toLowerCase())
+        : anchors.filter(isHashtag).map(a => a.text.replace(/^#/, '').toLowerCase());
+
+    const mentions = toot.mentions
+        ? toot.mentions.map(mention => fullAcct(mention.acct, localDomain))
+        : anchors.filter(isMention).flatMap(a => {
+            // Kaputte Links im HTML anderer Server überspringen statt die Auswertung abzubrechen
+            try {
+                const url = new URL(a.href, `https://${localDomain}`);
+                return [`${lastPathSegment(url.pathname).replace(/^@/, '')}@${url.host}`];
+            } catch {
+                return [];
+            }
+        });
+
+    return { text, links, hashtags, mentions };
+};
+
+/**
+ * Statistiken eines Zeitraums ohne Toots. Dient auch als Vorlage für gespeicherte Statistiken,
+ * denen Felder neuerer Versionen fehlen.
+ * @param {string} timeZone
+ * @returns {WrappedStats}
+ */
+const emptyStats = (timeZone) => ({
+    totalToots: 0,
+    totalRetoots: 0,
+    avgLength: 0,
+    withMedia: 0,
+    content: {
+        media: { image: 0, video: 0, gifv: 0, audio: 0, unknown: 0 },
+        altText: { described: 0, total: 0 },
+        polls: { created: 0, votes: 0 },
+        contentWarnings: 0,
+        edited: 0,
+        languages: []
+    },
+    topHashtags: [],
+    topMentions: [],
+    innerCircle: [],
+    topFavourited: [],
+    topReblogged: [],
+    topReplied: [],
+    replies: 0,
+    mostActiveHour: 0,
+    mostActiveDay: 0,
+    longestStreak: 0,
+    currentStreak: 0,
+    activeDays: 0,
+    longestBreak: { days: 0, from: '', to: '' },
+    busiestDay: { date: '', count: 0 },
+    calendar: { start: '', counts: [] },
+    timeline: [],
+    longestToot: 0,
+    shortestToot: 0,
+    medianLength: 0,
+    totalWords: 0,
+    avgWords: 0,
+    timeDistribution: { morning: 0, afternoon: 0, evening: 0, night: 0 },
+    heatmap: Array.from({ length: 7 }, () => new Array(24).fill(0)),
+    timeZone,
+    totalLinks: 0,
+    totalMentions: 0,
+    boosts: 0,
+    privateToots: 0,
+    mostActiveMonth: { key: '', count: 0 },
+    totalFavorites: 0,
+    totalReblogs: 0,
+    engagement: null
+});
+
+/** Toots zwischen zwei Fortschrittsmeldungen von {@link computeStats} */
+const PROGRESS_STEP = 500;
+
+/**
+ * Berechnet alle Statistiken eines Zeitraums.
+ * @param {MastodonToot[]} allToots Alle gespeicherten Toots des Kontos
+ * @param {WrappedPeriod} period
+ * @param {string} timeZone
+ * @param {string} localDomain Domain für lokale Konten, deren acct keine Domain enthält
+ * @param {(done: number, total: number) => void} [onProgress] Wird alle {@link PROGRESS_STEP} Toots aufgerufen
+ * @returns {WrappedStats}
+ */
+const computeStats = (allToots, period, timeZone, localDomain, onProgress) => {
+    // Nur Toots im gewählten Zeitraum
+    const periodToots = allToots.filter(toot => isInPeriod(period, toot.created_at));
+
+    // Re-Toots rausfiltern
+    const filteredToots = periodToots.filter(toot => !toot?.reblog);
+
+    const stats = {
+        ...emptyStats(timeZone),
+        totalToots: filteredToots.length,
+        totalRetoots: periodToots.length - filteredToots.length
+    };
+
+    let totalChars = 0;
+    const hashtagMap = {};
+    const mentionMap = {};
+    const languageMap = {};
+    /** @type {Object<string, CircleEntry>} nach acct in Kleinschreibung */
+    const circleMap = {};
+    /** @type {Object<string, number>} Antworten an Konten, deren acct im Toot selbst nicht steht, nach ID */
+    const unresolvedReplies = {};
+    const circleEntry = (acct, id, avatar) => {
+        const key = acct.toLowerCase();
+        const entry = circleMap[key] || (circleMap[key] = { acct, id: null, avatar: null, replies: 0, mentions: 0, boosts: 0, total: 0 });
+        entry.id = entry.id || id || null;
+        entry.avatar = entry.avatar || avatar || null;
+        entry.total++;
+        return entry;
+    };
+    const hourMap = {};
+    const dayMap = {};
+    const monthMap = {};
+    const lengths = [];
+    /** @type {string[]} */
+    const dateKeys = [];
+    /** @type {TootHighlight[]} */
+    const highlights = [];
+    let totalWords = 0;
+
+    // Verfasser geteilter Toots
+    periodToots.forEach(toot => {
+        if (!toot.reblog?.account) return;
+        const { id, acct, avatar_static } = toot.reblog.account;
+        circleEntry(fullAcct(acct, localDomain), id, avatar_static).boosts++;
+    });
+
+    filteredToots.forEach((toot, index) => {
+        if (onProgress && index % PROGRESS_STEP === 0) onProgress(index, filteredToots.length);
+        const { text, links, hashtags, mentions } = parseTootContent(toot, localDomain);
+        // Länge in Zeichen (Codepoints), damit Emojis als ein Zeichen zählen
+        const length = [...text].length;
+        totalChars += length;
+        lengths.push(length);
+
+        highlights.push({
+            id: toot.id,
+            url: toot.url,
+            created_at: toot.created_at,
+            // Bei Inhaltswarnung nur die Warnung zeigen
+            excerpt: toot.spoiler_text ? `CW: ${toot.spoiler_text}` : text.replace(/\s+/g, ' '),
+            favourites_count: toot.favourites_count || 0,
+            reblogs_count: toot.reblogs_count || 0,
+            replies_count: toot.replies_count || 0
+        });
+
+        // Längster und kürzester Toot
+        if (length > stats.longestToot) stats.longestToot = length;
+        if (length > 0 && (length < stats.shortestToot || stats.shortestToot === 0)) stats.shortestToot = length;
+
+        // Wörter zählen
+        const words = text.trim().split(/\s+/).filter(w => w.length > 0);
+        totalWords += words.length;
+
+        // Medien
+        if (toot.media_attachments && toot.media_attachments.length > 0) {
+            stats.withMedia++;
+            toot.media_attachments.forEach(attachment => {
+                const type = attachment.type in stats.content.media ? attachment.type : 'unknown';
+                stats.content.media[type]++;
+                stats.content.altText.total++;
+                if (attachment.description?.trim()) stats.content.altText.described++;
+            });
+        }
+
+        // Umfragen, Inhaltswarnungen, Bearbeitungen und Sprachen
+        if (toot.poll) {
+            stats.content.polls.created++;
+            stats.content.polls.votes += toot.poll.votes_count || 0;
+        }
+        if (toot.spoiler_text) stats.content.contentWarnings++;
+        if (toot.edited_at) stats.content.edited++;
+        if (toot.language) languageMap[toot.language] = (languageMap[toot.language] || 0) + 1;
+
+        // Replies
+        if (toot.in_reply_to_id) {
+            stats.replies++;
+        }
+
+        // Boosts
+        if (toot.reblog) {
+            stats.boosts++;
+        }
+
+        // Private Toots
+        if (toot.visibility === 'private' || toot.visibility === 'direct') {
+            stats.privateToots++;
+        }
+
+        // Links zählen
+        stats.totalLinks += links.length;
+
+        // Erwähnungen zählen
+        stats.totalMentions += mentions.length;
+        mentions.forEach(acct => {
+            mentionMap[acct] = (mentionMap[acct] || 0) + 1;
+        });
+
+        // Innerer Kreis: Antworten zählen für in_reply_to_account_id, die Erwähnungen liefern nur den acct dazu
+        const replyToId = toot.in_reply_to_account_id && toot.in_reply_to_account_id !== toot.account?.id
+            ? toot.in_reply_to_account_id
+            : null;
+        const replyTo = replyToId
+            ? (toot.mentions || []).find(mention => mention.id === replyToId || mention.url === replyToId)
+            : null;
+        (toot.mentions || []).forEach(mention => {
+            if (mention !== replyTo) circleEntry(fullAcct(mention.acct, localDomain), mention.id).mentions++;
+        });
+        if (replyTo) circleEntry(fullAcct(replyTo.acct, localDomain), replyTo.id).replies++;
+        else if (replyToId) unresolvedReplies[replyToId] = (unresolvedReplies[replyToId] || 0) + 1;
+
+        // Zeit-Analyse in der gewählten Zeitzone
+        const date = new Date(toot.created_at);
+        const { hour, weekday, dateKey } = zonedParts(date, timeZone);
+        dateKeys.push(dateKey);
+
+        stats.heatmap[weekday][hour]++;
+        hourMap[hour] = (hourMap[hour] || 0) + 1;
+        dayMap[weekday] = (dayMap[weekday] || 0) + 1;
+        // Nach Jahr und Monat, damit z.B. zwei Oktober in einem 12-Monats-Zeitraum getrennt bleiben
+        const monthKey = dateKey.slice(0, 7);
+        monthMap[monthKey] = (monthMap[monthKey] || 0) + 1;
+
+        // Tageszeit-Verteilung
+        if (hour >= 6 && hour < 12) stats.timeDistribution.morning++;
+        else if (hour >= 12 && hour < 18) stats.timeDistribution.afternoon++;
+        else if (hour >= 18 && hour < 24) stats.timeDistribution.evening++;
+        else stats.timeDistribution.night++;
+
+        // Favoriten zählen
+        stats.totalFavorites += toot.favourites_count || 0;
+        // Reblogs zählen
+        stats.totalReblogs += toot.reblogs_count || 0;
+
+        // Hashtags
+        hashtags.forEach(tag => {
+            hashtagMap[tag] = (hashtagMap[tag] || 0) + 1;
+        });
+    });
+
+    if (onProgress) onProgress(filteredToots.length, filteredToots.length);
+
+    // Durchschnittswerte, ohne Toots bleibt es bei 0 statt NaN
+    const total = filteredToots.length;
+    stats.totalWords = totalWords;
+    if (total > 0) {
+        stats.avgLength = Math.round(totalChars / total);
+        stats.avgWords = Math.round(totalWords / total);
+
+        // Median berechnen
+        lengths.sort((a, b) => a - b);
+        const mid = Math.floor(lengths.length / 2);
+        stats.medianLength = lengths.length % 2 === 0
+            ? Math.round((lengths[mid - 1] + lengths[mid]) / 2)
+            : lengths[mid];
+
+        // Prozentuale Verteilung
+        stats.timeDistribution.morning = Math.round((stats.timeDistribution.morning / total) * 100);
+        stats.timeDistribution.afternoon = Math.round((stats.timeDistribution.afternoon / total) * 100);
+        stats.timeDistribution.evening = Math.round((stats.timeDistribution.evening / total) * 100);
+        stats.timeDistribution.night = Math.round((stats.timeDistribution.night / total) * 100);
+    }
+
+
+    // Top Hashtags
+    stats.topHashtags = Object.entries(hashtagMap)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([tag, count]) => ({ tag, count }));
+
+    // Top Toots nach Favoriten, Boosts und Antworten
+    const topBy = (field) => highlights
+        .filter(highlight => highlight[field] > 0)
+        .sort((a, b) => b[field] - a[field])
+        .slice(0, 3);
+    stats.topFavourited = topBy('favourites_count');
+    stats.topReblogged = topBy('reblogs_count');
+    stats.topReplied = topBy('replies_count');
+
+    // Am häufigsten erwähnte Konten
+    stats.topMentions = Object.entries(mentionMap)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([acct, count]) => ({ acct, count }));
+
+    stats.content.languages = Object.entries(languageMap)
+        .sort((a, b) => b[1] - a[1])
+        .map(([language, count]) => ({ language, count }));
+
+    // Antworten ohne Erwähnung des Kontos über die ID einem Konto aus anderen Toots oder Re-Toots zuordnen
+    Object.values(circleMap).forEach(entry => {
+        const replies = entry.id ? unresolvedReplies[entry.id] : 0;
+        if (!replies) return;
+        entry.replies += replies;
+        entry.total += replies;
+    });
+    stats.innerCircle = Object.values(circleMap)
+        .sort((a, b) => b.total - a.total || b.replies - a.replies)
+        .slice(0, 8);
+
+    // Aktivste Stunde
+    const maxHour = Object.entries(hourMap).sort((a, b) => b[1] - a[1])[0];
+    stats.mostActiveHour = maxHour ? parseInt(maxHour[0]) : 12;
+
+    // Aktivster Tag
+    const maxDay = Object.entries(dayMap).sort((a, b) => b[1] - a[1])[0];
+    stats.mostActiveDay = maxDay ? Number(maxDay[0]) : 0;
+
+    // Aktivster Monat
+    const maxMonth = Object.entries(monthMap).sort((a, b) => b[1] - a[1])[0];
+    if (maxMonth) stats.mostActiveMonth = { key: maxMonth[0], count: maxMonth[1] };
+
+    // Längste Serie berechnen
+    // YYYY-MM-DD wird als UTC-Mitternacht gelesen, die Differenzen sind daher unabhängig von Zeitumstellungen
+    const uniqueDates = [...new Set(dateKeys)].sort();
+
+    let currentStreak = 1;
+    let maxStreak = uniqueDates.length > 0 ? 1 : 0;
+
+    for (let i = 1; i < uniqueDates.length; i++) {
+        const prev = new Date(uniqueDates[i - 1]);
+        const curr = new Date(uniqueDates[i]);
+        const diff = Math.floor((curr - prev) / (1000 * 60 * 60 * 24));
+
+        if (diff === 1) {
+            currentStreak++;
+            if (currentStreak > maxStreak) maxStreak = currentStreak;
+        } else {
+            currentStreak = 1;
+        }
+    }
+
+    stats.longestStreak = maxStreak;
+
+    // Kalender: Toots pro Tag, Serien und Pausen
+    const dayCounts = {};
+    dateKeys.forEach(key => {
+        dayCounts[key] = (dayCounts[key] || 0) + 1;
+    });
+
+    const { start: periodStart, end: periodEnd } = getPeriodRange(period);
+    const todayKey = zonedParts(new Date(), timeZone).dateKey;
+    const periodLastKey = periodEnd ? zonedParts(new Date(periodEnd.getTime() - 1), timeZone).dateKey : todayKey;
+    const referenceKey = periodLastKey < todayKey ? periodLastKey : todayKey;
+
+    // Eine Serie gilt noch als aktuell, wenn am Stichtag oder am Tag davor getootet wurde
+    let currentKey = dayCounts[referenceKey] ? referenceKey : addDays(referenceKey, -1);
+    while (dayCounts[currentKey]) {
+        stats.currentStreak++;
+        currentKey = addDays(currentKey, -1);
+    }
+
+    for (let i = 1; i < uniqueDates.length; i++) {
+        const gap = daysBetween(uniqueDates[i - 1], uniqueDates[i]) - 1;
+        if (gap > stats.longestBreak.days) {
+            stats.longestBreak = { days: gap, from: addDays(uniqueDates[i - 1], 1), to: addDays(uniqueDates[i], -1) };
+        }
+    }
+
+    stats.activeDays = uniqueDates.length;
+    const busiest = Object.entries(dayCounts).sort((a, b) => b[1] - a[1])[0];
+    if (busiest) stats.busiestDay = { date: busiest[0], count: busiest[1] };
+
+    // Raster über ein Kalenderjahr bzw. die 365 Tage bis zum Stichtag
+    let calendarStart = period.type === 'year' ? `${period.year}-01-01` : addDays(referenceKey, -364);
+    const periodStartKey = periodStart ? zonedParts(periodStart, timeZone).dateKey : null;
+    if (periodStartKey && periodStartKey > calendarStart) calendarStart = periodStartKey;
+    const calendarLength = Math.max(0, 1 + daysBetween(calendarStart, period.type === 'year' ? `${period.year}-12-31` : referenceKey));
+    // Verlauf der letzten (höchstens) zwölf Monate bis zum Stichtag, getrennt nach Art
+    const lastMonth = referenceKey.slice(0, 7);
+    const firstMonth = calendarStart.slice(0, 7) > addMonths(lastMonth, -11) ? calendarStart.slice(0, 7) : addMonths(lastMonth, -11);
+    const timeline = {};
+    for (let month = firstMonth; month <= lastMonth; month = addMonths(month, 1)) {
+        timeline[month] = { month, originals: 0, replies: 0, boosts: 0 };
+    }
+    periodToots.forEach(toot => {
+        const entry = timeline[zonedParts(new Date(toot.created_at), timeZone).dateKey.slice(0, 7)];
+        if (!entry) return;
+        if (toot.reblog) entry.boosts++;
+        else if (toot.in_reply_to_id) entry.replies++;
+        else entry.originals++;
+    });
+    stats.timeline = Object.values(timeline);
+
+    stats.calendar = {
+        start: calendarStart,
+        counts: Array.from({ length: calendarLength }, (_, i) => dayCounts[addDays(calendarStart, i)] || 0)
+    };
+
+    return stats;
+};
+
+/** Feld in {@link FanEntry} je Benachrichtigungstyp */
+const FAN_FIELDS = { favourite: 'favourites', reblog: 'reblogs', mention: 'mentions' };
+
+/**
+ * Wertet die Benachrichtigungen eines Zeitraums aus.
+ * @param {StoredNotification[]} notifications
+ * @param {WrappedPeriod} period
+ * @param {string} timeZone
+ * @param {string} localDomain
+ * @param {string[]} months Monate für den Follower-Verlauf (YYYY-MM), wie im Toot-Verlauf
+ * @returns {EngagementStats}
+ */
+const computeEngagement = (notifications, period, timeZone, localDomain, months) => {
+    const followers = Object.fromEntries(months.map(month => [month, { month, follows: 0 }]));
+    /** @type {Object<string, FanEntry>} */
+    const fans = {};
+    const dayCounts = {};
+    /** Früheste Reaktion je Toot in Minuten */
+    const firstReactions = {};
+    const engagement = {
+        total: 0,
+        newFollowers: 0,
+        followers: [],
+        topFans: [],
+        busiestDay: { date: '', count: 0 },
+        firstReaction: { median: 0, fastest: 0, count: 0 },
+        polls: 0
+    };
+
+    notifications.filter(notification => isInPeriod(period, notification.created_at)).forEach(notification => {
+        const { dateKey } = zonedParts(new Date(notification.created_at), timeZone);
+
+        if (notification.type === 'follow') {
+            engagement.newFollowers++;
+            const month = followers[dateKey.slice(0, 7)];
+            if (month) month.follows++;
+            return;
+        }
+        if (notification.type === 'poll') {
+            engagement.polls++;
+            return;
+        }
+
+        engagement.total++;
+        dayCounts[dateKey] = (dayCounts[dateKey] || 0) + 1;
+
+        if (notification.account) {
+            const acct = fullAcct(notification.account.acct, localDomain);
+            const key = acct.toLowerCase();
+            const fan = fans[key] || (fans[key] = { acct, id: notification.account.id, avatar: notification.account.avatar_static, favourites: 0, reblogs: 0, mentions: 0, total: 0 });
+            fan[FAN_FIELDS[notification.type]]++;
+            fan.total++;
+        }
+
+        // Bei Erwähnungen ist status die Antwort der anderen Person, nicht der eigene Toot
+        if (notification.type !== 'mention' && notification.status?.created_at) {
+            const minutes = Math.max(0, (Date.parse(notification.created_at) - Date.parse(notification.status.created_at)) / 60000);
+            const id = notification.status.id;
+            if (!(id in firstReactions) || minutes < firstReactions[id]) firstReactions[id] = minutes;
+        }
+    });
+
+    engagement.followers = Object.values(followers);
+    engagement.topFans = Object.values(fans)
+        .sort((a, b) => b.total - a.total)
+        .slice(0, 5);
+
+    const busiest = Object.entries(dayCounts).sort((a, b) => b[1] - a[1])[0];
+    if (busiest) engagement.busiestDay = { date: busiest[0], count: busiest[1] };
+
+    const delays = Object.values(firstReactions).sort((a, b) => a - b);
+    if (delays.length > 0) {
+        const mid = Math.floor(delays.length / 2);
+        engagement.firstReaction = {
+            median: Math.round(delays.length % 2 === 0 ? (delays[mid - 1] + delays[mid]) / 2 : delays[mid]),
+            fastest: Math.round(delays[0]),
+            count: delays.length
+        };
+    }
+
+    return engagement;
+};
+
+/**
+ * Statistiken eines Zeitraums einschließlich der Benachrichtigungen, so wie sie das Wrapped anzeigt.
+ * @param {MastodonToot[]} toots Alle gespeicherten Toots des Kontos
+ * @param {StoredNotification[]} notifications
+ * @param {WrappedPeriod} period
+ * @param {string} timeZone
+ * @param {string} localDomain
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {WrappedStats}
+ */
+const computeWrapped = (toots, notifications, period, timeZone, localDomain, onProgress) => {
+    const stats = computeStats(toots, period, timeZone, localDomain, onProgress);
+    if (notifications.length > 0) {
+        stats.engagement = computeEngagement(notifications, period, timeZone, localDomain, stats.timeline.map(entry => entry.month));
+    }
+    return stats;
+};
+
+// Im Browser und im Worker sind die Funktionen global, unter Node (node --test) ein CommonJS-Modul
+if (typeof module !== 'undefined') {
+    module.exports = {
+        getPeriodRange,
+        isInPeriod,
+        zonedParts,
+        addDays,
+        daysBetween,
+        addMonths,
+        fullAcct,
+        parseTootContent,
+        emptyStats,
+        computeStats,
+        computeEngagement,
+        computeWrapped
+    };
+}
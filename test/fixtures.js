@@ -0,0 +1,69 @@
+// Test-Toots und Benachrichtigungen für test/stats.test.js
+
+let nextId = 1;
+
+/**
+ * Toot mit allen Feldern, die die Auswertung liest. Abweichungen über overrides.
+ * @param {string} createdAt ISO-Zeitpunkt in UTC
+ * @param {Partial<MastodonToot>} [overrides]
+ * @returns {MastodonToot}
+ */
+const toot = (createdAt, overrides = {}) => {
+    const id = String(nextId++);
+    return {
+        id,
+        url: `https://example.social/@alice/${id}`,
+        content: '<p>Hallo Fediverse</p>',
+        created_at: createdAt,
+        media_attachments: [],
+        spoiler_text: '',
+        language: 'de',
+        edited_at: null,
+        poll: null,
+        in_reply_to_id: null,
+        in_reply_to_account_id: null,
+        account: { id: '1', acct: 'alice' },
+        visibility: 'public',
+        reblog: null,
+        tags: [],
+        mentions: [],
+        favourites_count: 0,
+        reblogs_count: 0,
+        replies_count: 0,
+        ...overrides
+    };
+};
+
+/**
+ * Re-Toot eines fremden Toots
+ * @param {string} createdAt
+ * @param {string} acct Verfasser des geteilten Toots
+ * @returns {MastodonToot}
+ */
+const reblog = (createdAt, acct) => toot(createdAt, {
+    content: '',
+    reblog: toot(createdAt, { account: { id: `id-${acct}`, acct } })
+});
+
+/**
+ * @param {StoredNotification['type']} type
+ * @param {string} createdAt
+ * @param {{acct?: string, status?: {id: string, created_at: string}|null}} [options]
+ * @returns {StoredNotification}
+ */
+const notification = (type, createdAt, { acct = 'bob@other.org', status = null } = {}) => ({
+    accountKey: 'alice@example.social',
+    id: String(nextId++),
+    type,
+    created_at: createdAt,
+    account: { id: `id-${acct}`, acct, avatar_static: null },
+    status
+});
+
+/**
+ * @param {number} year
+ * @returns {WrappedPeriod}
+ */
+const yearPeriod = (year) => ({ type: 'year', year, from: '', to: '' });
+
+module.exports = { toot, reblog, notification, yearPeriod };
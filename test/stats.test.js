@@ -0,0 +1,275 @@
+// Tests der Statistik-Berechnung, Aufruf: node --test test/*.test.js
+// Die Zeiträume werden in der Zeitzone des Prozesses ausgewertet, wie im Browser
+process.env.TZ = 'Europe/Berlin';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    zonedParts,
+    daysBetween,
+    parseTootContent,
+    emptyStats,
+    computeStats,
+    computeEngagement,
+    computeWrapped
+} = require('../stats.js');
+const { toot, reblog, notification, yearPeriod } = require('./fixtures.js');
+
+const TIME_ZONE = 'Europe/Berlin';
+const DOMAIN = 'example.social';
+
+/**
+ * Pfade aller Zahlen in einem Objekt, die NaN oder unendlich sind
+ * @param {any} value
+ * @param {string} [path]
+ * @returns {string[]}
+ */
+const invalidNumbers = (value, path = 'stats') => {
+    if (typeof value === 'number') return Number.isFinite(value) ? [] : [path];
+    if (!value || typeof value !== 'object') return [];
+    return Object.entries(value).flatMap(([key, child]) => invalidNumbers(child, `${path}.${key}`));
+};
+
+describe('computeStats ohne Toots', () => {
+    it('liefert nur endliche Zahlen', () => {
+        const stats = computeStats([], yearPeriod(2025), TIME_ZONE, DOMAIN);
+        assert.deepEqual(invalidNumbers(stats), []);
+        assert.equal(stats.avgLength, 0);
+        assert.equal(stats.avgWords, 0);
+        assert.equal(stats.medianLength, 0);
+        assert.equal(stats.shortestToot, 0);
+        assert.equal(stats.longestStreak, 0);
+        assert.deepEqual(stats.timeDistribution, { morning: 0, afternoon: 0, evening: 0, night: 0 });
+    });
+
+    it('entspricht emptyStats bis auf Kalender und Verlauf', () => {
+        const stats = computeStats([], yearPeriod(2025), TIME_ZONE, DOMAIN);
+        const { calendar, timeline, ...rest } = stats;
+        const { calendar: emptyCalendar, timeline: emptyTimeline, ...empty } = emptyStats(TIME_ZONE);
+        assert.deepEqual({ ...rest, mostActiveHour: 0 }, empty);
+        assert.equal(calendar.counts.length, 365);
+        assert.equal(timeline.length, 12);
+    });
+
+    it('zählt Re-Toots, auch wenn es keine eigenen Toots gibt', () => {
+        const stats = computeStats([reblog('2025-05-01T10:00:00Z', 'bob@other.org')], yearPeriod(2025), TIME_ZONE, DOMAIN);
+        assert.equal(stats.totalToots, 0);
+        assert.equal(stats.totalRetoots, 1);
+        assert.equal(stats.innerCircle[0].boosts, 1);
+        assert.deepEqual(invalidNumbers(stats), []);
+    });
+
+    it('ignoriert Toots ohne Text beim kürzesten Toot', () => {
+        const stats = computeStats([
+            toot('2025-05-01T10:00:00Z', { content: '' }),
+            toot('2025-05-02T10:00:00Z', { content: '<p>Hallo</p>' })
+        ], yearPeriod(2025), TIME_ZONE, DOMAIN);
+        assert.equal(stats.shortestToot, 5);
+        assert.equal(stats.longestToot, 5);
+        assert.equal(stats.medianLength, 3);
+    });
+});
+
+describe('Jahresgrenzen', () => {
+    const toots = [
+        // Silvester 23:30 UTC ist in Berlin schon Neujahr
+        toot('2024-12-31T23:30:00Z'),
+        toot('2025-06-15T12:00:00Z'),
+        toot('2025-12-31T23:30:00Z')
+    ];
+
+    it('ordnet Toots nach Ortszeit dem Jahr zu', () => {
+        const stats = computeStats(toots, yearPeriod(2025), TIME_ZONE, DOMAIN);
+        assert.equal(stats.totalToots, 2);
+        assert.equal(stats.calendar.start, '2025-01-01');
+        assert.equal(stats.calendar.counts[0], 1);
+        assert.equal(stats.heatmap[2][0], 1, 'Mittwoch, 1. Januar 0 Uhr');
+        assert.equal(stats.timeline[0].month, '2025-01');
+        assert.equal(stats.timeline[0].originals, 1);
+        assert.equal(stats.timeline[11].month, '2025-12');
+        assert.equal(stats.timeline[11].originals, 0);
+    });
+
+    it('zählt den Toot an Neujahr 2026 zum Folgejahr', () => {
+        const stats = computeStats(toots, yearPeriod(2026), TIME_ZONE, DOMAIN);
+        assert.equal(stats.totalToots, 1);
+        assert.equal(stats.busiestDay.date, '2026-01-01');
+    });
+
+    it('wertet Tage in der gewählten Zeitzone aus', () => {
+        assert.equal(zonedParts(new Date('2025-01-01T03:00:00Z'), 'America/New_York').dateKey, '2024-12-31');
+        assert.equal(zonedParts(new Date('2025-01-01T03:00:00Z'), 'America/New_York').hour, 22);
+        assert.equal(zonedParts(new Date('2025-01-01T03:00:00Z'), 'Asia/Tokyo').hour, 12);
+    });
+
+    it('berechnet Serien über den Jahreswechsel', () => {
+        const stats = computeStats([
+            toot('2024-12-30T12:00:00Z'),
+            toot('2024-12-31T12:00:00Z'),
+            toot('2025-01-01T12:00:00Z')
+        ], { type: 'all', year: 2025, from: '', to: '' }, TIME_ZONE, DOMAIN);
+        assert.equal(stats.longestStreak, 3);
+        assert.equal(stats.activeDays, 3);
+    });
+});
+
+describe('Zeitumstellung', () => {
+    it('zählt Stunden bei Beginn der Sommerzeit in Ortszeit', () => {
+        // 30.3.2025: 1:30 MEZ und 3:30 MESZ, 2 Uhr gibt es nicht
+        assert.equal(zonedParts(new Date('2025-03-30T00:30:00Z'), TIME_ZONE).hour, 1);
+        assert.equal(zonedParts(new Date('2025-03-30T01:30:00Z'), TIME_ZONE).hour, 3);
+    });
+
+    it('zählt die doppelte Stunde am Ende der Sommerzeit zweimal', () => {
+        const stats = computeStats([
+            toot('2025-10-26T00:30:00Z'),
+            toot('2025-10-26T01:30:00Z')
+        ], yearPeriod(2025), TIME_ZONE, DOMAIN);
+        assert.equal(stats.heatmap[6][2], 2, 'Sonntag, zweimal 2:30 Uhr');
+        assert.equal(stats.mostActiveHour, 2);
+        assert.equal(stats.busiestDay.count, 2);
+    });
+
+    it('hält Serien und Pausen über die Umstellung zusammen', () => {
+        const stats = computeStats([
+            // Jeweils 22:30 Uhr Ortszeit, vor der Umstellung MEZ, danach MESZ
+            toot('2025-03-29T21:30:00Z'),
+            toot('2025-03-30T20:30:00Z'),
+            toot('2025-03-31T20:30:00Z'),
+            toot('2025-10-25T12:00:00Z'),
+            toot('2025-10-27T12:00:00Z')
+        ], yearPeriod(2025), TIME_ZONE, DOMAIN);
+        assert.equal(stats.longestStreak, 3);
+        assert.equal(daysBetween('2025-03-29', '2025-03-31'), 2);
+        assert.equal(daysBetween('2025-10-25', '2025-10-27'), 2);
+        assert.deepEqual(stats.longestBreak, { days: 207, from: '2025-04-01', to: '2025-10-24' });
+    });
+});
+
+describe('parseTootContent', () => {
+    it('dekodiert Text ohne DOM', () => {
+        const { text } = parseTootContent(toot('2025-01-01T12:00:00Z', {
+            content: '<p>Tom &amp; Jerry &lt;3 &#39;x&#39; &#x1F600;</p><p>Zeile<br />zwei</p>'
+        }), DOMAIN);
+        assert.equal(text, 'Tom & Jerry <3 \'x\' 😀\n\nZeile\nzwei');
+    });
+
+    it('dekodiert numerische Entitäten und lässt unbekannte stehen', () => {
+        const { text } = parseTootContent(toot('2025-01-01T12:00:00Z', {
+            content: '<p>Caf&#233; &#x2026; &#X20AC;5 &quot;a&quot;&nbsp;b &#0; &#x110000; &#65 &eacute; &amp;lt;</p>'
+        }), DOMAIN);
+        assert.equal(text, 'Café … €5 "a"\u00a0b &#0; &#x110000; &#65 &eacute; &lt;');
+    });
+
+    it('verträgt fehlerhaftes Markup', () => {
+        const entities = parseTootContent({
+            ...toot('2025-01-01T12:00:00Z'),
+            tags: undefined,
+            mentions: undefined,
+            content: '<p>1 < 2 <3 <b>fett<p>offen <a href=https://example.com/a?b=1&amp;c=2 rel=nofollow>Link<br>weiter</p><span class="x'
+        }, DOMAIN);
+        assert.equal(entities.text, '1 < 2 <3 fettoffen Link\nweiter\n\n<span class="x');
+        assert.deepEqual(entities.links, ['https://example.com/a?b=1&c=2']);
+        assert.deepEqual(entities.hashtags, []);
+    });
+
+    it('liest Hashtags, Erwähnungen und Links aus dem HTML, wenn strukturierte Felder fehlen', () => {
+        const entities = parseTootContent({
+            ...toot('2025-01-01T12:00:00Z'),
+            tags: undefined,
+            mentions: undefined,
+            content: '<p><span class="h-card"><a href="https://other.org/@bob" class="u-url mention">@<span>bob</span></a></span> '
+                + '<a href="https://example.social/tags/Fediverse" class="mention hashtag" rel="tag">#<span>Fediverse</span></a> '
+                + '<a href="https://example.com/artikel" rel="nofollow noopener" target="_blank">example.com/artikel</a></p>'
+        }, DOMAIN);
+        assert.deepEqual(entities.mentions, ['bob@other.org']);
+        assert.deepEqual(entities.hashtags, ['fediverse']);
+        assert.deepEqual(entities.links, ['https://example.com/artikel']);
+    });
+
+    it('überspringt Erwähnungen mit ungültigem Link', () => {
+        const { mentions } = parseTootContent({
+            ...toot('2025-01-01T12:00:00Z'),
+            mentions: undefined,
+            content: '<p><a href="http://[x" class="u-url mention">@kaputt</a> '
+                + '<a href="https://other.org/@bob" class="u-url mention">@bob</a></p>'
+        }, DOMAIN);
+        assert.deepEqual(mentions, ['bob@other.org']);
+    });
+
+    it('ergänzt lokale Erwähnungen um die eigene Domain', () => {
+        const { mentions } = parseTootContent(toot('2025-01-01T12:00:00Z', {
+            mentions: [{ id: '2', acct: 'carol', url: 'https://example.social/@carol' }]
+        }), DOMAIN);
+        assert.deepEqual(mentions, ['carol@example.social']);
+    });
+});
+
+describe('Innerer Kreis', () => {
+    const bob = { id: 'id-bob@other.org', acct: 'bob@other.org', url: 'https://other.org/@bob' };
+
+    it('zählt Antworten über in_reply_to_account_id statt als Erwähnung', () => {
+        const stats = computeStats([
+            toot('2025-05-01T10:00:00Z', { in_reply_to_id: '7', in_reply_to_account_id: bob.id, mentions: [bob] }),
+            // Selbst-Antwort in einem Thread
+            toot('2025-05-01T10:05:00Z', { in_reply_to_id: '8', in_reply_to_account_id: '1', mentions: [bob] })
+        ], yearPeriod(2025), TIME_ZONE, DOMAIN);
+        assert.deepEqual(stats.innerCircle.map(({ acct, replies, mentions }) => ({ acct, replies, mentions })), [
+            { acct: 'bob@other.org', replies: 1, mentions: 1 }
+        ]);
+    });
+
+    it('ordnet Antworten ohne Erwähnung über die ID zu', () => {
+        const stats = computeStats([
+            reblog('2025-05-01T10:00:00Z', 'bob@other.org'),
+            toot('2025-05-02T10:00:00Z', { in_reply_to_id: '7', in_reply_to_account_id: bob.id }),
+            toot('2025-05-03T10:00:00Z', { in_reply_to_id: '9', in_reply_to_account_id: 'id-unbekannt' })
+        ], yearPeriod(2025), TIME_ZONE, DOMAIN);
+        assert.equal(stats.innerCircle.length, 1);
+        assert.equal(stats.innerCircle[0].replies, 1);
+        assert.equal(stats.innerCircle[0].total, 2);
+    });
+
+    it('erkennt Antworten aus dem Archiv an der Actor-URI', () => {
+        const stats = computeStats([toot('2025-05-01T10:00:00Z', {
+            in_reply_to_id: '7',
+            in_reply_to_account_id: 'https://other.org/users/bob',
+            mentions: [{ acct: 'bob@other.org', url: 'https://other.org/users/bob' }]
+        })], yearPeriod(2025), TIME_ZONE, DOMAIN);
+        assert.equal(stats.innerCircle[0].replies, 1);
+        assert.equal(stats.innerCircle[0].mentions, 0);
+    });
+});
+
+describe('computeEngagement', () => {
+    it('berechnet Follower, Fans und die erste Reaktion', () => {
+        const status = { id: '99', created_at: '2025-03-01T12:00:00Z' };
+        const engagement = computeEngagement([
+            notification('follow', '2025-03-02T10:00:00Z'),
+            notification('favourite', '2025-03-01T12:10:00Z', { status }),
+            notification('reblog', '2025-03-01T12:04:00Z', { status }),
+            notification('mention', '2025-03-01T13:00:00Z', { acct: 'carol' }),
+            notification('favourite', '2024-12-31T12:00:00Z', { status })
+        ], yearPeriod(2025), TIME_ZONE, DOMAIN, ['2025-02', '2025-03']);
+        assert.equal(engagement.total, 3);
+        assert.deepEqual(engagement.followers, [{ month: '2025-02', follows: 0 }, { month: '2025-03', follows: 1 }]);
+        assert.equal(engagement.topFans[0].acct, 'bob@other.org');
+        assert.equal(engagement.topFans[1].acct, 'carol@example.social');
+        assert.deepEqual(engagement.firstReaction, { median: 4, fastest: 4, count: 1 });
+    });
+});
+
+describe('computeWrapped', () => {
+    it('meldet den Fortschritt und übernimmt die Benachrichtigungen', () => {
+        const toots = Array.from({ length: 1200 }, (_, i) => toot(new Date(Date.UTC(2025, 0, 1, 12) + i * 3600000).toISOString()));
+        const progress = [];
+        const stats = computeWrapped(toots, [notification('follow', '2025-02-01T10:00:00Z')], yearPeriod(2025), TIME_ZONE, DOMAIN, (done, total) => progress.push([done, total]));
+        assert.deepEqual(progress, [[0, 1200], [500, 1200], [1000, 1200], [1200, 1200]]);
+        assert.equal(stats.totalToots, 1200);
+        assert.equal(stats.engagement.newFollowers, 1);
+    });
+
+    it('lässt engagement ohne Benachrichtigungen leer', () => {
+        assert.equal(computeWrapped([], [], yearPeriod(2025), TIME_ZONE, DOMAIN).engagement, null);
+    });
+});